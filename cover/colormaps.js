@@ -0,0 +1,162 @@
+// Named colormaps and the lookup table used to map normalized amplitudes to colors.
+// Stops use the same { pos, color } format as an explicit colormap in config.json.
+
+export const COLORMAPS = {
+    // House style of the thesis: blue/purple for negative, orange/red for positive pressure
+    thesis: [
+        { pos: 0.0,  color: [0, 0, 255] },
+        { pos: 0.25, color: [128, 0, 128] },
+        { pos: 0.5,  color: [0, 0, 0] },
+        { pos: 0.75, color: [255, 128, 0] },
+        { pos: 1.0,  color: [255, 0, 0] }
+    ],
+    viridis: [
+        { pos: 0.0,   color: [68, 1, 84] },
+        { pos: 0.125, color: [71, 44, 122] },
+        { pos: 0.25,  color: [59, 81, 139] },
+        { pos: 0.375, color: [44, 113, 142] },
+        { pos: 0.5,   color: [33, 144, 141] },
+        { pos: 0.625, color: [39, 173, 129] },
+        { pos: 0.75,  color: [92, 200, 99] },
+        { pos: 0.875, color: [170, 220, 50] },
+        { pos: 1.0,   color: [253, 231, 37] }
+    ],
+    // Cyclic, so both signs of the pulse fade into the same light tone
+    twilight: [
+        { pos: 0.0,   color: [226, 217, 226] },
+        { pos: 0.125, color: [155, 178, 205] },
+        { pos: 0.25,  color: [94, 122, 191] },
+        { pos: 0.375, color: [84, 58, 151] },
+        { pos: 0.5,   color: [47, 20, 54] },
+        { pos: 0.625, color: [122, 35, 77] },
+        { pos: 0.75,  color: [181, 83, 68] },
+        { pos: 0.875, color: [206, 154, 131] },
+        { pos: 1.0,   color: [226, 217, 226] }
+    ],
+    seismic: [
+        { pos: 0.0,  color: [0, 0, 77] },
+        { pos: 0.25, color: [0, 0, 255] },
+        { pos: 0.5,  color: [255, 255, 255] },
+        { pos: 0.75, color: [255, 0, 0] },
+        { pos: 1.0,  color: [128, 0, 0] }
+    ],
+    coolwarm: [
+        { pos: 0.0,  color: [59, 76, 192] },
+        { pos: 0.25, color: [141, 176, 254] },
+        { pos: 0.5,  color: [221, 221, 221] },
+        { pos: 0.75, color: [244, 154, 123] },
+        { pos: 1.0,  color: [180, 4, 38] }
+    ],
+    // B-mode style grayscale
+    grayscale: [
+        { pos: 0.0, color: [0, 0, 0] },
+        { pos: 1.0, color: [255, 255, 255] }
+    ]
+};
+
+export const DEFAULT_COLORMAP_NAME = 'thesis';
+
+export function getColorFromColormap(value, colormap) {
+    // Ensure colormap is sorted by position
+    // const sortedColormap = [...colormap].sort((a, b) => a.pos - b.pos);
+    // Assuming colormap from config is already sorted for performance.
+    // If not, uncomment and use sortedColormap.
+
+    // Normalize value from -1 to 1 range (relative to maxAmplitude) to 0-1 for colormap lookup
+    const normalizedPos = (value + 1) / 2;
+
+    if (normalizedPos <= colormap[0].pos) {
+        return colormap[0].color;
+    }
+    if (normalizedPos >= colormap[colormap.length - 1].pos) {
+        return colormap[colormap.length - 1].color;
+    }
+
+    for (let i = 0; i < colormap.length - 1; i++) {
+        const stop1 = colormap[i];
+        const stop2 = colormap[i + 1];
+
+        if (normalizedPos >= stop1.pos && normalizedPos <= stop2.pos) {
+            const t = (normalizedPos - stop1.pos) / (stop2.pos - stop1.pos);
+            if (isNaN(t) || !isFinite(t)) return stop1.color; // Avoid issues if stop1.pos === stop2.pos
+
+            const r = Math.round(stop1.color[0] * (1 - t) + stop2.color[0] * t);
+            const g = Math.round(stop1.color[1] * (1 - t) + stop2.color[1] * t);
+            const b = Math.round(stop1.color[2] * (1 - t) + stop2.color[2] * t);
+            return [r, g, b];
+        }
+    }
+    return colormap[colormap.length - 1].color; // Should be caught by earlier checks
+}
+
+// Returns the stops for a colormap given by name or as explicit stops,
+// flipped end to end if reversed
+export function resolveColormap(colormap, reversed) {
+    let stops = Array.isArray(colormap) ? colormap : COLORMAPS[colormap];
+    if (!stops) {
+        console.warn(`Unknown colormap "${colormap}", using "${DEFAULT_COLORMAP_NAME}".`);
+        stops = COLORMAPS[DEFAULT_COLORMAP_NAME];
+    }
+    if (reversed) {
+        stops = stops.map(stop => ({ pos: 1 - stop.pos, color: stop.color })).reverse();
+    }
+    return stops;
+}
+
+// Samples a colormap into an RGBA table (4 bytes per entry) covering values -1..1
+export function buildColormapLUT(stops, size) {
+    const lut = new Uint8Array(size * 4);
+    for (let i = 0; i < size; i++) {
+        const value = (i / (size - 1)) * 2 - 1;
+        const [r, g, b] = getColorFromColormap(value, stops);
+        lut.set([r, g, b, 255], i * 4);
+    }
+    return lut;
+}
+
+// Recently used LUTs by key, shared by all instances
+const colormapLUTCache = new Map();
+const COLORMAP_LUT_CACHE_SIZE = 8;
+
+// LUT for the colormap settings in a waveVisuals config section (the B-mode colormap
+// in that display mode), built once per distinct setting
+export function getColormapLUT(visuals) {
+    const colormap = visuals.displayMode === 'bmode' ? visuals.bmodeColormap : visuals.colormap;
+    const size = Math.max(2, Math.round(visuals.colormapLutSize));
+    const key = JSON.stringify([colormap, visuals.colormapReversed, size]);
+    let colormapLUT = colormapLUTCache.get(key);
+    if (!colormapLUT) {
+        const stops = resolveColormap(colormap, visuals.colormapReversed);
+        colormapLUT = { key, lut: buildColormapLUT(stops, size), size };
+        if (colormapLUTCache.size >= COLORMAP_LUT_CACHE_SIZE) {
+            colormapLUTCache.delete(colormapLUTCache.keys().next().value);
+        }
+        colormapLUTCache.set(key, colormapLUT);
+    }
+    return colormapLUT;
+}
+
+// O(1) color lookup for a normalized value in -1..1
+export function lookupColormap(value, colormapLUT) {
+    const clamped = Math.max(-1, Math.min(1, value));
+    const index = Math.round((clamped + 1) / 2 * (colormapLUT.size - 1)) * 4;
+    return [colormapLUT.lut[index], colormapLUT.lut[index + 1], colormapLUT.lut[index + 2]];
+}
+
+export const AMPLITUDE_COMPRESSIONS = ['linear', 'gamma', 'log'];
+
+// Compresses a signed normalized amplitude (-1..1) before color mapping, keeping its sign.
+// "gamma" raises the magnitude to compressionGamma (< 1 lifts faint waves); "log" maps it to
+// log(1 + k|v|) / log(1 + k) with k = compressionLogFactor (both from the waveVisuals section).
+export function compressAmplitude(value, visuals) {
+    const magnitude = Math.abs(value);
+    let compressed;
+    if (visuals.amplitudeCompression === 'gamma') {
+        compressed = Math.pow(magnitude, visuals.compressionGamma);
+    } else if (visuals.amplitudeCompression === 'log') {
+        compressed = Math.log1p(visuals.compressionLogFactor * magnitude) / Math.log1p(visuals.compressionLogFactor);
+    } else {
+        return value;
+    }
+    return Math.sign(value) * compressed;
+}
@@ -0,0 +1,214 @@
+// Generated parameter panel (debug mode) that edits a WaveCover's config live and can write it back as config.json.
+
+import { COLORMAPS, AMPLITUDE_COMPRESSIONS } from './colormaps.js';
+import { PROPAGATION_MODELS } from './propagation.js';
+import { ATTRACT_PATTERNS } from './default-config.js';
+import { downloadBlob } from './file-utils.js';
+
+const CONFIG_PANEL_SECTIONS = ['waveVisuals', 'waveDynamics', 'disintegration', 'interaction', 'attractMode'];
+
+// Control hints per section/key. Numbers with min/max get a slider, keys with options a picker
+// (with custom, also a "custom" entry for explicit colormap stops); anything not listed falls
+// back to a control matching the value's type.
+const CONFIG_PANEL_CONTROLS = {
+    waveVisuals: {
+        maxAmplitude: { min: 0.05, max: 5, step: 0.05 },
+        gridResolution: { min: 1, max: 16, step: 1 },
+        renderer: { options: ['auto', 'webgl', 'canvas2d'] },
+        colormap: { options: () => Object.keys(COLORMAPS), custom: true },
+        colormapLutSize: { min: 2, max: 4096, step: 1 },
+        amplitudeCompression: { options: () => AMPLITUDE_COMPRESSIONS },
+        compressionGamma: { min: 0.05, max: 3, step: 0.05 },
+        compressionLogFactor: { min: 0.1, max: 1000, step: 0.1 },
+        displayMode: { options: ['rf', 'bmode'] },
+        bmodeColormap: { options: () => Object.keys(COLORMAPS), custom: true },
+        bmodeDynamicRangeDb: { min: 1, max: 100, step: 1 },
+        bmodeGainDb: { min: -40, max: 40, step: 0.5 }
+    },
+    waveDynamics: {
+        carrierFrequency: { min: 0.1, max: 20, step: 0.1 },
+        gaussianWidth: { min: 1, max: 100, step: 1 },
+        waveSpeed: { min: 1, max: 500, step: 1 },
+        waveLifetimeSeconds: { min: 1, max: 120, step: 1 },
+        waveRemovalEdgeFactor: { min: 0.5, max: 10, step: 0.1 },
+        model: { options: () => PROPAGATION_MODELS },
+        spreadingReferenceRadius: { min: 1, max: 500, step: 1 },
+        attenuationDbPerMhzCm: { min: 0, max: 5, step: 0.05 },
+        cmPerPixel: { min: 0.001, max: 0.1, step: 0.001 },
+        dispersion: { min: -0.5, max: 0.5, step: 0.01 }
+    },
+    disintegration: {
+        startAgeSeconds: { min: 0, max: 60, step: 0.5 },
+        transitionDurationSeconds: { min: 0.1, max: 30, step: 0.1 },
+        noisePersistenceDurationSeconds: { min: 0, max: 30, step: 0.1 },
+        noiseBlockSizeStart: { min: 1, max: 50, step: 1 },
+        noiseBlockSizeEnd: { min: 1, max: 50, step: 1 },
+        numNoiseBlocksPerWave: { min: 0, max: 2000, step: 10 },
+        noiseMaxBlockAlpha: { min: 0, max: 1, step: 0.01 },
+        noiseSpreadFactor: { min: 0, max: 10, step: 0.1 }
+    },
+    interaction: {
+        maxWaves: { min: 1, max: 100, step: 1 },
+        numInitialWaves: { min: 0, max: 50, step: 1, note: 'Applies on reload' },
+        pulseRepetitionFrequency: { min: 0, max: 20, step: 0.5 }
+    },
+    attractMode: {
+        idleSeconds: { min: 0, max: 120, step: 1 },
+        pattern: { options: () => ATTRACT_PATTERNS },
+        intervalSeconds: { min: 0.1, max: 10, step: 0.1 },
+        gridColumns: { min: 1, max: 12, step: 1 },
+        gridRows: { min: 1, max: 12, step: 1 },
+        circlePoints: { min: 1, max: 32, step: 1 },
+        circleRadius: { min: 0, max: 0.5, step: 0.01 }
+    }
+};
+
+export class ConfigPanel {
+    // Builds one control per config key of the panel sections into container
+    constructor(cover, container) {
+        this.cover = cover;
+        this.container = container;
+        this.inputs = []; // { section, key, inputs } for every generated control
+        this.build();
+    }
+
+    build() {
+        const config = this.cover.config;
+        this.inputs = [];
+        this.container.textContent = '';
+
+        for (const section of CONFIG_PANEL_SECTIONS) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = section;
+            fieldset.appendChild(legend);
+
+            for (const key of Object.keys(config[section])) {
+                const row = this.createRow(section, key);
+                if (row) fieldset.appendChild(row);
+            }
+            this.container.appendChild(fieldset);
+        }
+
+        const downloadButton = document.createElement('button');
+        downloadButton.textContent = 'Download config.json';
+        downloadButton.addEventListener('click', () => this.downloadConfig());
+        this.container.appendChild(downloadButton);
+        this.refresh();
+    }
+
+    toggle() {
+        const isHidden = this.container.style.display === 'none';
+        if (isHidden) this.refresh();
+        this.container.style.display = isHidden ? '' : 'none';
+    }
+
+    createRow(section, key) {
+        const hint = (CONFIG_PANEL_CONTROLS[section] || {})[key] || {};
+        const value = this.cover.config[section][key];
+        const set = (newValue) => this.cover.setConfigParameter(section, key, newValue);
+        const inputs = [];
+
+        if (hint.options) {
+            const select = document.createElement('select');
+            const options = typeof hint.options === 'function' ? hint.options() : hint.options;
+            for (const option of options) {
+                select.add(new Option(option, option));
+            }
+            // Explicit colormap stops have no name; the last ones seen stay selectable as "custom"
+            let customValue = typeof value === 'string' ? null : value;
+            if (hint.custom) select.add(new Option('custom', ''));
+            select.addEventListener('change', () => {
+                const current = this.cover.config[section][key];
+                if (typeof current !== 'string') customValue = current;
+                if (select.value !== '') {
+                    set(select.value);
+                } else if (customValue) {
+                    set(customValue);
+                } else {
+                    select.value = current; // No stops to go back to
+                }
+            });
+            inputs.push(select);
+        } else if (typeof value === 'boolean') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => set(checkbox.checked));
+            inputs.push(checkbox);
+        } else if (typeof value === 'number') {
+            const number = document.createElement('input');
+            number.type = 'number';
+            number.step = hint.step || 'any';
+            if (hint.min !== undefined && hint.max !== undefined) {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = number.min = hint.min;
+                slider.max = number.max = hint.max;
+                slider.step = hint.step;
+                slider.addEventListener('input', () => {
+                    number.value = slider.value;
+                    set(parseFloat(slider.value));
+                });
+                inputs.push(slider);
+            }
+            number.addEventListener('change', () => {
+                const parsed = parseFloat(number.value);
+                if (!isFinite(parsed)) {
+                    number.value = this.cover.config[section][key];
+                    return;
+                }
+                inputs.forEach(input => { input.value = parsed; });
+                set(parsed);
+            });
+            inputs.push(number);
+        } else if (typeof value === 'string') {
+            const text = document.createElement('input');
+            text.type = 'text';
+            text.addEventListener('change', () => set(text.value));
+            inputs.push(text);
+        } else {
+            return null; // Arrays and objects are edited in config.json
+        }
+
+        // Controls are nested in their label, so several panels on a page need no unique ids
+        const row = document.createElement('label');
+        row.className = 'wave-cover-panel-row';
+        const name = document.createElement('span');
+        name.textContent = key;
+        if (hint.note) row.title = hint.note;
+        row.appendChild(name);
+        inputs.forEach(input => row.appendChild(input));
+
+        this.inputs.push({ section, key, inputs });
+        return row;
+    }
+
+    // Updates the generated controls from the config, e.g. after a scene replaced it
+    refresh() {
+        const config = this.cover.config;
+        for (const { section, key, inputs } of this.inputs) {
+            const value = config[section][key];
+            for (const input of inputs) {
+                if (input.type === 'checkbox') {
+                    input.checked = value;
+                } else if (input.tagName === 'SELECT') {
+                    input.value = typeof value === 'string' ? value : '';
+                } else {
+                    input.value = value;
+                }
+            }
+        }
+    }
+
+    // The config as a config.json file. Canvas sizes are kept symbolic ("auto", "innerWidth")
+    // because the cover resolves them without writing the pixel size back.
+    serializeConfig() {
+        return JSON.parse(JSON.stringify(this.cover.config));
+    }
+
+    downloadConfig() {
+        const json = JSON.stringify(this.serializeConfig(), null, 4);
+        downloadBlob(new Blob([json + '\n'], { type: 'application/json' }), 'config.json');
+        console.log("Configuration exported as config.json.");
+    }
+}
@@ -0,0 +1,351 @@
+// Schema for config.json (and the config stored in scenes), validation and on-page reporting.
+// Invalid values are dropped so the default is used instead; unknown keys are ignored.
+
+import { COLORMAPS, AMPLITUDE_COMPRESSIONS } from './colormaps.js';
+import { PROPAGATION_MODELS } from './propagation.js';
+import { PAPER_SIZES_MM, ATTRACT_PATTERNS } from './default-config.js';
+
+const APODIZATION_WINDOWS = ['rect', 'hann', 'hamming'];
+
+// Rules for one value:
+//   type: 'number' | 'boolean' | 'enum' | 'color' | 'colormap' | 'dimension' | 'scene' | 'section' | 'list' | 'object'
+//   number:    min / max (inclusive), exclusiveMin, integer, keywords (strings accepted instead of a number)
+//   enum:      values (array of allowed values)
+//   dimension: a positive number of pixels, "auto" (size of the container) or the window property named by windowKey
+//   section:   keys (nested rules); list: item (rule for each element); object: keys, required
+//   nullable:  null is also accepted
+export const CONFIG_SCHEMA = {
+    canvasWidth: { type: 'dimension', windowKey: 'innerWidth' },
+    canvasHeight: { type: 'dimension', windowKey: 'innerHeight' },
+    backgroundColor: { type: 'color' },
+    seed: { type: 'number', integer: true, nullable: true },
+    scene: { type: 'scene' },
+    framing: {
+        type: 'section', keys: {
+            aspectRatio: { type: 'number', min: 0, exclusiveMin: true, nullable: true, keywords: ['print'] },
+            frameWidth: { type: 'number', min: 0, exclusiveMin: true },
+            letterboxColor: { type: 'color' },
+            showGuides: { type: 'boolean' },
+            pixelRatio: { type: 'number', min: 0, exclusiveMin: true, keywords: ['auto'] }
+        }
+    },
+    waveVisuals: {
+        type: 'section', keys: {
+            maxAmplitude: { type: 'number', min: 0, exclusiveMin: true },
+            gridResolution: { type: 'number', integer: true, min: 1 },
+            renderer: { type: 'enum', values: ['auto', 'webgl', 'canvas2d'] },
+            colormap: { type: 'colormap' },
+            colormapReversed: { type: 'boolean' },
+            colormapLutSize: { type: 'number', integer: true, min: 2, max: 16384 },
+            amplitudeCompression: { type: 'enum', values: AMPLITUDE_COMPRESSIONS },
+            compressionGamma: { type: 'number', min: 0, exclusiveMin: true },
+            compressionLogFactor: { type: 'number', min: 0, exclusiveMin: true },
+            displayMode: { type: 'enum', values: ['rf', 'bmode'] },
+            bmodeColormap: { type: 'colormap' },
+            bmodeDynamicRangeDb: { type: 'number', min: 0, exclusiveMin: true },
+            bmodeGainDb: { type: 'number' }
+        }
+    },
+    waveDynamics: {
+        type: 'section', keys: {
+            carrierFrequency: { type: 'number', min: 0, exclusiveMin: true },
+            gaussianWidth: { type: 'number', min: 0, exclusiveMin: true },
+            waveSpeed: { type: 'number', min: 0, exclusiveMin: true },
+            waveLifetimeSeconds: { type: 'number', min: 0, exclusiveMin: true },
+            waveRemovalEdgeFactor: { type: 'number', min: 0, exclusiveMin: true },
+            model: { type: 'enum', values: PROPAGATION_MODELS },
+            spreadingReferenceRadius: { type: 'number', min: 0, exclusiveMin: true },
+            attenuationDbPerMhzCm: { type: 'number', min: 0 },
+            cmPerPixel: { type: 'number', min: 0, exclusiveMin: true },
+            dispersion: { type: 'number', min: -1, exclusiveMin: true }
+        }
+    },
+    interaction: {
+        type: 'section', keys: {
+            interactive: { type: 'boolean' },
+            maxWaves: { type: 'number', integer: true, min: 1 },
+            numInitialWaves: { type: 'number', integer: true, min: 0 },
+            pulseRepetitionFrequency: { type: 'number', min: 0 },
+            dragMovesSource: { type: 'boolean' },
+            multiTouch: { type: 'boolean' }
+        }
+    },
+    attractMode: {
+        type: 'section', keys: {
+            enabled: { type: 'boolean' },
+            idleSeconds: { type: 'number', min: 0 },
+            pattern: { type: 'enum', values: ATTRACT_PATTERNS },
+            intervalSeconds: { type: 'number', min: 0, exclusiveMin: true },
+            gridColumns: { type: 'number', integer: true, min: 1 },
+            gridRows: { type: 'number', integer: true, min: 1 },
+            circlePoints: { type: 'number', integer: true, min: 1 },
+            circleRadius: { type: 'number', min: 0 },
+            sequence: {
+                type: 'list', item: {
+                    type: 'object', required: ['x', 'y'], keys: {
+                        x: { type: 'number' },
+                        y: { type: 'number' },
+                        delaySeconds: { type: 'number', min: 0 }
+                    }
+                }
+            }
+        }
+    },
+    disintegration: {
+        type: 'section', keys: {
+            enabled: { type: 'boolean' },
+            startAgeSeconds: { type: 'number', min: 0 },
+            transitionDurationSeconds: { type: 'number', min: 0, exclusiveMin: true },
+            noisePersistenceDurationSeconds: { type: 'number', min: 0 },
+            noiseBlockSizeStart: { type: 'number', min: 0, exclusiveMin: true },
+            noiseBlockSizeEnd: { type: 'number', min: 0, exclusiveMin: true },
+            numNoiseBlocksPerWave: { type: 'number', integer: true, min: 0, max: 10000 },
+            noiseMaxBlockAlpha: { type: 'number', min: 0, max: 1 },
+            noiseSpreadFactor: { type: 'number', min: 0 }
+        }
+    },
+    debugMode: {
+        type: 'section', keys: {
+            enabled: { type: 'boolean' },
+            startPaused: { type: 'boolean' },
+            timeSliderMax: { type: 'number', min: 0, exclusiveMin: true }
+        }
+    },
+    transducer: {
+        type: 'section', keys: {
+            enabled: { type: 'boolean' },
+            numElements: { type: 'number', integer: true, min: 1 },
+            pitch: { type: 'number', min: 0, exclusiveMin: true },
+            orientationDegrees: { type: 'number' },
+            steeringAngleDegrees: { type: 'number', min: -90, max: 90 },
+            focalDepth: { type: 'number', min: 0, exclusiveMin: true, nullable: true },
+            apodization: { type: 'enum', values: APODIZATION_WINDOWS },
+            gain: { type: 'number' }
+        }
+    },
+    reflectors: {
+        type: 'section', keys: {
+            enabled: { type: 'boolean' },
+            scatterers: {
+                type: 'list', item: {
+                    type: 'object', required: ['x', 'y'], keys: {
+                        x: { type: 'number' },
+                        y: { type: 'number' },
+                        reflectionCoefficient: { type: 'number' },
+                        delaySeconds: { type: 'number', min: 0 }
+                    }
+                }
+            },
+            segments: {
+                type: 'list', item: {
+                    type: 'object', required: ['x1', 'y1', 'x2', 'y2'], keys: {
+                        x1: { type: 'number' },
+                        y1: { type: 'number' },
+                        x2: { type: 'number' },
+                        y2: { type: 'number' },
+                        reflectionCoefficient: { type: 'number' },
+                        delaySeconds: { type: 'number', min: 0 }
+                    }
+                }
+            },
+            reflectionCoefficient: { type: 'number' },
+            delaySeconds: { type: 'number', min: 0 },
+            maxEchoOrder: { type: 'number', integer: true, min: 0 },
+            minEchoAmplitude: { type: 'number', min: 0 },
+            showMarkers: { type: 'boolean' }
+        }
+    },
+    printExport: {
+        type: 'section', keys: {
+            paperSize: { type: 'enum', values: Object.keys(PAPER_SIZES_MM) },
+            widthMm: { type: 'number', min: 0, exclusiveMin: true, nullable: true },
+            heightMm: { type: 'number', min: 0, exclusiveMin: true, nullable: true },
+            dpi: { type: 'number', min: 0, exclusiveMin: true },
+            bleedMm: { type: 'number', min: 0 },
+            layout: { type: 'enum', values: ['front', 'wrap'] },
+            spineWidthMm: { type: 'number', min: 0 },
+            gridResolution: { type: 'number', integer: true, min: 1 },
+            showGuides: { type: 'boolean' }
+        }
+    },
+    animationExport: {
+        type: 'section', keys: {
+            startTime: { type: 'number', min: 0 },
+            endTime: { type: 'number', min: 0, exclusiveMin: true },
+            fps: { type: 'number', min: 0, exclusiveMin: true },
+            format: { type: 'enum', values: ['png-zip', 'webm'] },
+            videoBitsPerSecond: { type: 'number', min: 0, exclusiveMin: true }
+        }
+    }
+};
+
+export function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Recursively merges a (partial) user config into a base config. Objects are merged
+// key by key; arrays (colormap stops, reflectors) and other values replace the base value.
+export function mergeConfig(baseConfig, userConfig) {
+    const merged = {...baseConfig};
+    for (const [key, value] of Object.entries(userConfig)) {
+        merged[key] = isPlainObject(value) && isPlainObject(baseConfig[key]) ? mergeConfig(baseConfig[key], value) : value;
+    }
+    return merged;
+}
+
+function describeValue(value) {
+    return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+// Returns why value breaks rule, or null if it is valid
+export function checkConfigValue(value, rule) {
+    if (value === null && rule.nullable) return null;
+
+    switch (rule.type) {
+        case 'number': {
+            if (rule.keywords && rule.keywords.includes(value)) return null;
+            if (typeof value !== 'number' || !isFinite(value)) {
+                return rule.keywords ? `expected a number or ${rule.keywords.map(v => `"${v}"`).join(', ')}` : 'expected a number';
+            }
+            if (rule.integer && !Number.isInteger(value)) return 'expected an integer';
+            if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+                return `expected a value ${rule.exclusiveMin ? '>' : '>='} ${rule.min}`;
+            }
+            if (rule.max !== undefined && value > rule.max) return `expected a value <= ${rule.max}`;
+            return null;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'expected true or false';
+        case 'enum':
+            return rule.values.includes(value) ? null : `expected one of ${rule.values.map(v => `"${v}"`).join(', ')}`;
+        case 'color':
+            if (typeof value !== 'string' || value === '') return 'expected a CSS color string';
+            if (typeof CSS !== 'undefined' && CSS.supports && !CSS.supports('color', value)) return 'not a valid CSS color';
+            return null;
+        case 'colormap':
+            return checkColormap(value);
+        case 'dimension':
+            if (value === rule.windowKey || value === 'auto') return null;
+            return typeof value === 'number' && isFinite(value) && value > 0 ? null : `expected "${rule.windowKey}", "auto" or a positive number of pixels`;
+        case 'scene':
+            return value === null || typeof value === 'string' || isPlainObject(value) ? null : 'expected a scene path, a scene object or null';
+        case 'object': {
+            if (!isPlainObject(value)) return 'expected an object';
+            for (const key of rule.required || []) {
+                if (!(key in value)) return `missing "${key}"`;
+            }
+            for (const [key, itemValue] of Object.entries(value)) {
+                if (!rule.keys[key]) return `unknown key "${key}"`;
+                const problem = checkConfigValue(itemValue, rule.keys[key]);
+                if (problem) return `"${key}": ${problem}`;
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+// A colormap is a name from COLORMAPS or at least two { pos, color } stops sorted by pos in 0..1
+function checkColormap(value) {
+    if (typeof value === 'string') {
+        return COLORMAPS[value] ? null : `unknown colormap, expected one of ${Object.keys(COLORMAPS).join(', ')} or explicit stops`;
+    }
+    if (!Array.isArray(value) || value.length < 2) return 'expected a colormap name or at least two { pos, color } stops';
+    for (let i = 0; i < value.length; i++) {
+        const stop = value[i];
+        if (!isPlainObject(stop) || typeof stop.pos !== 'number' || stop.pos < 0 || stop.pos > 1) {
+            return `stop ${i} needs a pos between 0 and 1`;
+        }
+        if (!Array.isArray(stop.color) || stop.color.length !== 3 ||
+            !stop.color.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+            return `stop ${i} needs a color of three integers 0..255`;
+        }
+        if (i > 0 && stop.pos < value[i - 1].pos) {
+            return `stops must be sorted by pos (stop ${i} at ${stop.pos} follows ${value[i - 1].pos})`;
+        }
+    }
+    return null;
+}
+
+// Validates a (partial) user config against CONFIG_SCHEMA. Returns the valid part, ready
+// for mergeConfig(), and the issues found; defaults is only used to name the fallbacks.
+export function validateConfig(userConfig, defaults) {
+    const issues = [];
+    if (!isPlainObject(userConfig)) {
+        issues.push({ level: 'error', message: `Expected a JSON object, got ${describeValue(userConfig)}; using the defaults.` });
+        return { config: {}, issues };
+    }
+    return { config: validateConfigKeys(userConfig, CONFIG_SCHEMA, defaults || {}, '', issues), issues };
+}
+
+function validateConfigKeys(values, rules, defaults, path, issues) {
+    const valid = {};
+    for (const [key, value] of Object.entries(values)) {
+        const keyPath = path ? `${path}.${key}` : key;
+        const rule = rules[key];
+        const fallback = `using default ${describeValue(defaults[key])}`;
+
+        if (!rule) {
+            issues.push({ level: 'warning', message: `Unknown key "${keyPath}" ignored.` });
+        } else if (rule.type === 'section') {
+            if (isPlainObject(value)) {
+                valid[key] = validateConfigKeys(value, rule.keys, defaults[key] || {}, keyPath, issues);
+            } else {
+                issues.push({ level: 'error', message: `${keyPath}: expected an object, got ${describeValue(value)}; using the defaults.` });
+            }
+        } else if (rule.type === 'list') {
+            if (!Array.isArray(value)) {
+                issues.push({ level: 'error', message: `${keyPath}: expected a list, got ${describeValue(value)}; ${fallback}.` });
+                continue;
+            }
+            // Drop only the broken entries
+            valid[key] = value.filter((item, index) => {
+                const problem = checkConfigValue(item, rule.item);
+                if (problem) {
+                    issues.push({ level: 'error', message: `${keyPath}[${index}]: ${problem}, got ${describeValue(item)}; entry ignored.` });
+                }
+                return !problem;
+            });
+        } else {
+            const problem = checkConfigValue(value, rule);
+            if (problem) {
+                issues.push({ level: 'error', message: `${keyPath}: ${problem}, got ${describeValue(value)}; ${fallback}.` });
+            } else {
+                valid[key] = value;
+            }
+        }
+    }
+    return valid;
+}
+
+// Lists config issues in a dismissable box (and the console), so a rejected
+// value does not just show up as a black canvas
+export function showConfigMessages(container, title, issues) {
+    if (issues.length === 0) return;
+    issues.forEach(issue => console.warn(`${title}: ${issue.message}`));
+
+    if (!container) return;
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    for (const issue of issues) {
+        const item = document.createElement('li');
+        item.className = issue.level;
+        item.textContent = issue.message;
+        list.appendChild(item);
+    }
+    container.appendChild(heading);
+    container.appendChild(list);
+
+    if (!container.querySelector('button')) {
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Dismiss';
+        closeButton.addEventListener('click', () => {
+            container.style.display = 'none';
+            container.textContent = '';
+        });
+        container.prepend(closeButton);
+    }
+    container.style.display = 'block';
+}
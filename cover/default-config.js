@@ -0,0 +1,131 @@
+// Default configuration of a WaveCover; config.json and the constructor config are merged over it.
+
+export const DEFAULT_CONFIG = {
+    canvasWidth: "auto",  // "auto" (size of the container), "innerWidth" (window) or pixels
+    canvasHeight: "auto", // "auto", "innerHeight" or pixels
+    backgroundColor: '#111111',
+    seed: null, // PRNG seed for reproducible frames; null picks a random one (logged on load)
+    scene: null, // Scene to load on startup: path to a saved scene JSON or an inline scene object
+    framing: { // The composition's frame (scene units) and how it is shown in the canvas
+        aspectRatio: null,         // null: the frame is the canvas, in CSS pixels. A number (width / height) or "print"
+                                   // (the printExport sheet, bleed included) locks it and letterboxes the canvas
+        frameWidth: 1000,          // Scene units across a locked frame; positions and sizes in px are in these units
+        letterboxColor: "#000000", // Bars around a locked frame
+        showGuides: false,         // Trim, bleed and spine lines of the printExport layout over a "print" frame
+        pixelRatio: "auto"         // Canvas pixels per CSS pixel; "auto" follows window.devicePixelRatio
+    },
+    waveVisuals: {
+        // positiveColorBase and negativeColorBase removed
+        maxAmplitude: 1.0,
+        gridResolution: 4,
+        renderer: "auto", // "auto" (WebGL2 if available), "webgl" or "canvas2d"
+        colormap: "thesis", // Name from COLORMAPS (colormaps.js) or explicit [{ pos, color }] stops
+        colormapReversed: false,
+        colormapLutSize: 1024,
+        amplitudeCompression: "linear", // "linear", "gamma" or "log", applied before color mapping
+        compressionGamma: 0.5,
+        compressionLogFactor: 10,
+        displayMode: "rf",          // "rf" (signed field) or "bmode" (log-compressed envelope)
+        bmodeColormap: "grayscale", // Colormap used in B-mode, name or explicit stops
+        bmodeDynamicRangeDb: 40,
+        bmodeGainDb: 0
+    },
+    waveDynamics: {
+        carrierFrequency: 5,
+        gaussianWidth: 20,
+        waveSpeed: 50,
+        waveLifetimeSeconds: 25,
+        waveRemovalEdgeFactor: 4,
+        // Propagation model: "ideal" (constant amplitude), "cylindrical" (1/sqrt(r) spreading)
+        // or "attenuating" (spreading + frequency-dependent attenuation + dispersion)
+        model: "ideal",
+        spreadingReferenceRadius: 50, // px; amplitude is 1 up to this radius
+        attenuationDbPerMhzCm: 0.5,   // Soft tissue is roughly 0.5; carrierFrequency is taken as MHz
+        cmPerPixel: 0.01,             // Physical scale used by the attenuation
+        dispersion: 0,                // (phase - group velocity) / group velocity
+    },
+    interaction: {
+        interactive: true,
+        maxWaves: 10,         // Sources alive at once while playing; pointer presses beyond it are ignored
+        numInitialWaves: 2,
+        pulseRepetitionFrequency: 4, // Hz; a held pointer keeps emitting pulses at this rate (0: one per press)
+        dragMovesSource: true,       // A held pointer's pulses follow it, so a drag is a moving (Doppler) source
+        multiTouch: true,            // Every touch point emits; false: only the primary pointer
+    },
+    attractMode: { // Autoplay for unattended displays: spawns waves after a while without input
+        enabled: false,
+        idleSeconds: 10,       // Seconds without input (and after start) before autoplay begins
+        pattern: "random",     // "random", "grid", "circle" or "sequence"
+        intervalSeconds: 1.5,  // Time between spawned waves
+        gridColumns: 4,        // "grid": cells visited row by row
+        gridRows: 3,
+        circlePoints: 8,       // "circle": points around the canvas center
+        circleRadius: 0.35,    // Fraction of the shorter canvas side
+        sequence: [],          // "sequence", looped: [{ x, y, delaySeconds? }], x/y as fractions of the canvas
+    },
+    disintegration: {
+        enabled: true,
+        startAgeSeconds: 8,
+        transitionDurationSeconds: 5,
+        noisePersistenceDurationSeconds: 3,
+        noiseBlockSizeStart: 5, // Renamed from noiseBlockSize
+        noiseBlockSizeEnd: 15,  // New: for gradual block size increase
+        numNoiseBlocksPerWave: 250,
+        noiseMaxBlockAlpha: 0.6,
+        noiseSpreadFactor: 2.5,
+    },
+    debugMode: { // Default debug settings
+        enabled: false,
+        startPaused: false,
+        timeSliderMax: 60
+    },
+    transducer: { // Linear/phased array source, fired by clicks when enabled
+        enabled: false,
+        numElements: 32,
+        pitch: 6,                  // px between element centers
+        orientationDegrees: 0,     // Array axis angle; at 0 the array is horizontal and fires down (+y)
+        steeringAngleDegrees: 0,   // Beam angle from the array normal, towards the array axis
+        focalDepth: null,          // px along the beam; null transmits a (steered) plane wave
+        apodization: "hann",       // "rect", "hann" or "hamming"
+        gain: 1                    // Element weights are normalized to sum to this
+    },
+    reflectors: { // Scatterers and boundaries that send echoes back into the scene
+        enabled: true,
+        scatterers: [],             // Point scatterers: [{ x, y, reflectionCoefficient?, delaySeconds? }]
+        segments: [],               // Line reflectors: [{ x1, y1, x2, y2, reflectionCoefficient?, delaySeconds? }]
+        reflectionCoefficient: 0.5, // Default for reflectors without their own
+        delaySeconds: 0,            // Default extra delay before an echo is emitted
+        maxEchoOrder: 1,            // 2 or more lets echoes reflect again
+        minEchoAmplitude: 0.02,     // Echoes weaker than this (relative to their source) are dropped
+        showMarkers: false          // Draw reflector positions on screen
+    },
+    printExport: { // High-resolution off-screen export for the printed cover
+        paperSize: "B5",     // Key into PAPER_SIZES_MM, ignored if widthMm/heightMm are set
+        widthMm: null,       // Trim width of a single cover page
+        heightMm: null,      // Trim height
+        dpi: 300,
+        bleedMm: 3,
+        layout: "front",     // "front" (single page) or "wrap" (back + spine + front)
+        spineWidthMm: 15,    // Only used by the "wrap" layout
+        gridResolution: 1,   // Sampling step in output pixels
+        showGuides: true     // Draw trim/spine guides in the SVG output
+    },
+    animationExport: { // Offline rendering of a time range, independent of the real-time loop
+        startTime: 0,
+        endTime: 10,
+        fps: 30,
+        format: "png-zip",          // "png-zip" (exact, numbered frames) or "webm" (MediaRecorder)
+        videoBitsPerSecond: 8000000
+    }
+};
+
+// Trim sizes (portrait) in millimetres
+export const PAPER_SIZES_MM = {
+    A4: { width: 210, height: 297 },
+    A5: { width: 148, height: 210 },
+    B5: { width: 176, height: 250 },
+    Letter: { width: 215.9, height: 279.4 }
+};
+
+// Placement patterns of attractMode
+export const ATTRACT_PATTERNS = ['random', 'grid', 'circle', 'sequence'];
@@ -0,0 +1,125 @@
+// File helpers shared by the cover (downloads, print and animation exports) and the headless
+// renderer: PNG chunks, CRC-32 and stored ZIP archives. Only downloadBlob() and
+// blobToDataURL() need a browser.
+
+// Saves a blob through a temporary download link
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    document.body.appendChild(link); // Required for Firefox
+    link.click();
+    document.body.removeChild(link);
+    // Revoke later, some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+export function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// CRC-32 as used by PNG chunks and ZIP entries
+let crcTable = null;
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A PNG chunk: length, four-letter type, data and the CRC over type and data
+export function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// Data of a pHYs chunk giving the physical resolution in dots per inch
+export function pngPhysicalData(dpi) {
+    const data = new Uint8Array(9);
+    const view = new DataView(data.buffer);
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    view.setUint32(0, pixelsPerMetre);
+    view.setUint32(4, pixelsPerMetre);
+    data[8] = 1; // Unit: metre
+    return data;
+}
+
+// Inserts a pHYs chunk after IHDR so print software picks up the intended DPI
+export async function setPngDpi(pngBlob, dpi) {
+    const png = new Uint8Array(await pngBlob.arrayBuffer());
+    const ihdrEnd = 8 + 25; // Signature + IHDR chunk
+    const chunk = pngChunk('pHYs', pngPhysicalData(dpi));
+    return new Blob([png.subarray(0, ihdrEnd), chunk, png.subarray(ihdrEnd)], { type: 'image/png' });
+}
+
+// Builds an uncompressed (stored) ZIP archive from [{ name, data: Uint8Array }]
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true);         // Version needed to extract
+        local.setUint16(8, 0, true);          // Method: stored
+        local.setUint16(12, 0x21, true);      // DOS date: 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed to extract
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // Offset of local header
+        centralDirectory.push(central, name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
@@ -0,0 +1,201 @@
+// Undo/redo history for a WaveCover's composition edits. A command is { label, undo(), redo() };
+// edits record one after they have been applied, undo()/redo() replay it. Commands that hold scene
+// positions also have mapPositions(mapPoint, mappedWaves), see CommandHistory.mapPositions().
+
+const MAX_HISTORY_LENGTH = 200;
+const CONFIG_CHANGE_MERGE_MS = 1000; // Slider drags on one key within this interval are one step
+
+// Attract mode waves are not part of the composition: wave list snapshots leave them out, and
+// restoring a snapshot keeps the ones spawned since, so undo never takes them back or revives them
+function withoutAutoplay(waves) {
+    return waves.filter(wave => !wave.autoplay);
+}
+
+function restoreWaveList(cover, waves) {
+    cover.allWavesEver = [...waves, ...cover.allWavesEver.filter(wave => wave.autoplay)];
+}
+
+export class CommandHistory {
+    constructor(cover) {
+        this.cover = cover;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isReplaying = false; // Edits made by undo/redo are not recorded again
+        this.undoButton = null;
+        this.redoButton = null;
+    }
+
+    setButtons(undoButton, redoButton) {
+        this.undoButton = undoButton;
+        this.redoButton = redoButton;
+        undoButton.addEventListener('click', () => this.undo());
+        redoButton.addEventListener('click', () => this.redo());
+        this.updateButtons();
+    }
+
+    record(command) {
+        if (this.isReplaying) return;
+        this.undoStack.push(command);
+        if (this.undoStack.length > MAX_HISTORY_LENGTH) this.undoStack.shift();
+        this.redoStack = [];
+        this.updateButtons();
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateButtons();
+    }
+
+    undo() {
+        if (this.cover.isExportingAnimation) return;
+        const command = this.undoStack.pop();
+        if (!command) return;
+        this.replay(command, 'undo');
+        this.redoStack.push(command);
+        this.updateButtons();
+        console.log(`Undo: ${command.label}`);
+    }
+
+    redo() {
+        if (this.cover.isExportingAnimation) return;
+        const command = this.redoStack.pop();
+        if (!command) return;
+        this.replay(command, 'redo');
+        this.undoStack.push(command);
+        this.updateButtons();
+        console.log(`Redo: ${command.label}`);
+    }
+
+    replay(command, direction) {
+        this.isReplaying = true;
+        try {
+            command[direction]();
+        } finally {
+            this.isReplaying = false;
+        }
+        this.cover.refreshControls();
+        this.cover.updateAndFilterWaves();
+        this.cover.draw();
+    }
+
+    // Runs an edit that adds or removes waves and records it as one command
+    recordWaveListChange(label, edit) {
+        const before = withoutAutoplay(this.cover.allWavesEver);
+        edit();
+        this.recordWaveListSince(label, before);
+    }
+
+    // Records the change from a wave list snapshot to the current one, e.g. after a pointer
+    // gesture that emitted waves over several frames; nothing is recorded if the list is unchanged
+    recordWaveListSince(label, before) {
+        const cover = this.cover;
+        before = withoutAutoplay(before);
+        const after = withoutAutoplay(cover.allWavesEver);
+        if (after.length === before.length && after.every((wave, i) => wave === before[i])) return;
+        this.record({
+            label,
+            undo: () => restoreWaveList(cover, before),
+            redo: () => restoreWaveList(cover, after),
+            // The snapshots share their wave objects with the cover, so only the waves that are
+            // not in it (deleted, or added by an undone step) still need to be moved
+            mapPositions(mapPoint, mappedWaves) {
+                for (const wave of [...before, ...after]) {
+                    if (mappedWaves.has(wave)) continue;
+                    Object.assign(wave, mapPoint(wave));
+                    mappedWaves.add(wave);
+                }
+            }
+        });
+    }
+
+    // Records a finished retime; before and after map wave IDs to the changed values
+    recordWaveEdit(label, before, after, apply) {
+        this.record({
+            label,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+    }
+
+    // Records a finished move; before and after map wave IDs to { x, y }
+    recordWaveMove(label, before, after, apply) {
+        const mapAll = (positions, mapPoint) => new Map([...positions].map(([id, position]) => [id, mapPoint(position)]));
+        this.record({
+            label,
+            undo: () => apply(before),
+            redo: () => apply(after),
+            mapPositions(mapPoint) {
+                before = mapAll(before, mapPoint);
+                after = mapAll(after, mapPoint);
+            }
+        });
+    }
+
+    // Records a change of the reflector scatterer list
+    recordScatterersChange(label, before, after) {
+        const cover = this.cover;
+        const mapAll = (scatterers, mapPoint) => scatterers.map(scatterer => ({ ...scatterer, ...mapPoint(scatterer) }));
+        this.record({
+            label,
+            undo: () => { cover.config.reflectors.scatterers = before; },
+            redo: () => { cover.config.reflectors.scatterers = after; },
+            mapPositions(mapPoint) {
+                before = mapAll(before, mapPoint);
+                after = mapAll(after, mapPoint);
+            }
+        });
+    }
+
+    // Moves the positions held by recorded commands along with the composition when the cover
+    // refits it into a new frame (see WaveCover.fitCompositionToFrame()). mapPoint maps { x, y };
+    // mappedWaves holds the wave objects that were moved already, and collects those moved here.
+    mapPositions(mapPoint, mappedWaves) {
+        for (const command of [...this.undoStack, ...this.redoStack]) {
+            if (command.mapPositions) command.mapPositions(mapPoint, mappedWaves);
+        }
+    }
+
+    recordConfigChange(section, key, before, after) {
+        if (this.isReplaying) return;
+        const cover = this.cover;
+        const last = this.undoStack[this.undoStack.length - 1];
+        const now = performance.now();
+        if (last && last.configKey === `${section}.${key}` && this.redoStack.length === 0 && now - last.time < CONFIG_CHANGE_MERGE_MS) {
+            last.after = after;
+            last.time = now;
+            return;
+        }
+        this.record({
+            label: `Set ${section}.${key}`,
+            configKey: `${section}.${key}`,
+            time: now,
+            after,
+            undo: () => cover.setConfigParameter(section, key, before),
+            redo() { cover.setConfigParameter(section, key, this.after); }
+        });
+    }
+
+    updateButtons() {
+        if (this.undoButton) this.undoButton.disabled = this.undoStack.length === 0;
+        if (this.redoButton) this.redoButton.disabled = this.redoStack.length === 0;
+    }
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd works instead of Ctrl on macOS
+    handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        if (event.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+}
@@ -0,0 +1,57 @@
+// Pulse shape and propagation models shared by the Canvas2D and WebGL renderers.
+
+// Gaussian-modulated sinusoidal pulse function.
+// carrierTau lets the carrier travel at a different (phase) speed than the envelope.
+// With quadrature set the carrier is a cosine: the (negated) Hilbert transform of the
+// pulse, so sqrt(I^2 + Q^2) of the summed field is its envelope.
+export function pulse(d, fc, tau, sig, carrierTau = tau, quadrature = false) {
+    if (sig === 0) return 0;
+    const envelope = Math.exp(-0.5 * Math.pow((d - tau) / sig, 2));
+    const phase = 2 * Math.PI * fc * (d - carrierTau);
+    const sinusoid = quadrature ? Math.cos(phase) : Math.sin(phase);
+    return envelope * sinusoid;
+}
+
+export const PROPAGATION_MODELS = ['ideal', 'cylindrical', 'attenuating'];
+const DB_PER_NEPER = 20 / Math.LN10;
+
+// Per-frame constants of the propagation model configured in waveDynamics, in pixel units
+export function getPropagationParams(dynamics) {
+    const model = PROPAGATION_MODELS.includes(dynamics.model) ? dynamics.model : 'ideal';
+    // fc is stored in cycles/px as carrierFrequency / 100, so 1 cycle/px corresponds to 100 MHz.
+    // attenuation is then in nepers per px per (cycle/px).
+    const attenuation = dynamics.attenuationDbPerMhzCm / DB_PER_NEPER * 100 * dynamics.cmPerPixel;
+    return {
+        model: model,
+        referenceRadius: Math.max(1e-6, dynamics.spreadingReferenceRadius),
+        attenuation: model === 'attenuating' ? attenuation : 0,
+        dispersion: model === 'attenuating' ? dynamics.dispersion : 0
+    };
+}
+
+// Field of a single wave at distance d from its source under the given propagation model.
+// Attenuation that is linear in frequency shifts the center frequency of a Gaussian pulse
+// down by sigma_k^2 * attenuation * d (sigma_k: spectral width of the envelope); the
+// amplitude decays at the mean of the initial and shifted frequency.
+export function propagatedPulse(d, fc, tau, sig, propagation, quadrature = false) {
+    if (propagation.model === 'ideal') {
+        return pulse(d, fc, tau, sig, tau, quadrature);
+    }
+    const carrierFc = shiftedCarrierFrequency(d, fc, sig, propagation);
+    return propagationAmplitude(d, fc, sig, propagation) *
+        pulse(d, carrierFc, tau, sig, tau * (1 + propagation.dispersion), quadrature);
+}
+
+export function shiftedCarrierFrequency(d, fc, sig, propagation) {
+    if (propagation.attenuation <= 0 || sig === 0) return fc;
+    const spectralVariance = 1 / Math.pow(2 * Math.PI * sig, 2);
+    return Math.max(0, fc - spectralVariance * propagation.attenuation * d);
+}
+
+// Amplitude of a wave at distance d from its source: 2D (cylindrical) spreading and attenuation
+export function propagationAmplitude(d, fc, sig, propagation) {
+    if (propagation.model === 'ideal') return 1;
+    const spreading = Math.sqrt(propagation.referenceRadius / Math.max(d, propagation.referenceRadius));
+    if (propagation.attenuation <= 0) return spreading;
+    return spreading * Math.exp(-propagation.attenuation * d * (fc + shiftedCarrierFrequency(d, fc, sig, propagation)) / 2);
+}
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// Headless renderer: writes PNG frames of a config (and optional saved scene) without a browser.
+// Uses the same simulation and CPU rasterizer as the page (simulation.js); the WebGL renderer
+// and editor overlays are not involved.
+//
+//   node render-frames.js --config config.json --scene scene.json --time 2.5 --time 4
+//   node render-frames.js --config config.json --scene scene.json --from 0 --to 5 --fps 30 --width 3840 --height 2160
+//
+// Options:
+//   --config <file>   config.json to render with (default: config.json)
+//   --scene <file>    saved scene (Save Scene button), instead of the config's scene; without either,
+//                     numInitialWaves random waves are placed
+//   --time <s>        time of a frame, repeatable (default: the scene's time, else 0)
+//   --from/--to/--fps frame sequence, written as frame_00000.png, frame_00001.png, ...
+//   --width/--height  output size in pixels (default: the frame size in scene units, or one side at the frame's
+//                     aspect ratio); the frame is scaled to cover it
+//   --grid <px>       field sampling block size in output pixels (default: waveVisuals.gridResolution)
+//   --dpi <n>         physical resolution stored in the PNGs
+//   --out <dir>       output directory (default: current directory)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { parseArgs } from 'node:util';
+import { DEFAULT_CONFIG } from './default-config.js';
+import { validateConfig, mergeConfig, showConfigMessages } from './config-schema.js';
+import {
+    mulberry32, createWave, getInitialWavePlacements, readScene, computeActiveWaves, renderFrameRGBA,
+    fitRect, getFrameAspectRatio, getFrameSize
+} from './simulation.js';
+import { WaveStore } from './wave-store.js';
+import { pngChunk, pngPhysicalData } from './file-utils.js';
+
+const PNG_SIGNATURE = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Encodes an opaque RGBA buffer as a PNG (8-bit RGB, no filtering)
+function encodePNG(width, height, rgba, dpi) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Color type: RGB
+
+    const rows = Buffer.alloc(height * (1 + width * 3));
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (1 + width * 3); // Filter byte 0 (none) precedes each row
+        for (let x = 0; x < width; x++) {
+            const source = (y * width + x) * 4;
+            const target = rowStart + 1 + x * 3;
+            rows[target] = rgba[source];
+            rows[target + 1] = rgba[source + 1];
+            rows[target + 2] = rgba[source + 2];
+        }
+    }
+
+    const chunks = [PNG_SIGNATURE, pngChunk('IHDR', header)];
+    if (dpi) {
+        chunks.push(pngChunk('pHYs', pngPhysicalData(dpi)));
+    }
+    chunks.push(pngChunk('IDAT', zlib.deflateSync(rows)), pngChunk('IEND', new Uint8Array(0)));
+    return Buffer.concat(chunks);
+}
+
+// Hex (#rgb, #rrggbb) and rgb()/rgba() colors; other CSS colors need a browser and fall back to black
+function parseColor(color) {
+    let match = /^#([0-9a-f]{3})$/i.exec(color);
+    if (match) return [...match[1]].map(digit => parseInt(digit + digit, 16));
+    match = /^#([0-9a-f]{6})$/i.exec(color);
+    if (match) return [0, 2, 4].map(offset => parseInt(match[1].slice(offset, offset + 2), 16));
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(color);
+    if (match) return match.slice(1, 4).map(Number);
+    console.warn(`backgroundColor "${color}" is not a hex or rgb() color, rendering on black.`);
+    return [0, 0, 0];
+}
+
+function parseNumberOption(options, name) {
+    if (options[name] === undefined) return undefined;
+    const value = parseFloat(options[name]);
+    if (!isFinite(value)) throw new Error(`--${name} expects a number, got "${options[name]}".`);
+    return value;
+}
+
+function getFrameTimes(options, sceneTime) {
+    const from = parseNumberOption(options, 'from');
+    const to = parseNumberOption(options, 'to');
+    if (from !== undefined || to !== undefined) {
+        const fps = parseNumberOption(options, 'fps') || 30;
+        if (!(from >= 0) || !(to > from) || !(fps > 0)) {
+            throw new Error(`Invalid frame range: --from ${options.from} --to ${options.to} --fps ${fps}.`);
+        }
+        const frameCount = Math.floor((to - from) * fps) + 1;
+        const digits = Math.max(5, String(frameCount - 1).length);
+        return Array.from({ length: frameCount }, (_, frame) => ({
+            time: from + frame / fps,
+            name: `frame_${String(frame).padStart(digits, '0')}.png`
+        }));
+    }
+    const times = options.time.length > 0 ? options.time.map(time => parseFloat(time)) : [sceneTime];
+    return times.map(time => {
+        if (!isFinite(time) || time < 0) throw new Error(`Invalid --time ${time}.`);
+        return { time, name: `wave_cover_time_${time.toFixed(2)}.png` };
+    });
+}
+
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            config: { type: 'string', default: 'config.json' },
+            scene: { type: 'string' },
+            time: { type: 'string', multiple: true, default: [] },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            fps: { type: 'string' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            grid: { type: 'string' },
+            dpi: { type: 'string' },
+            out: { type: 'string', default: '.' }
+        }
+    });
+
+    const { config: validConfig, issues } = validateConfig(readJSON(options.config), DEFAULT_CONFIG);
+    let config = mergeConfig(JSON.parse(JSON.stringify(DEFAULT_CONFIG)), validConfig);
+    showConfigMessages(null, options.config, issues);
+    if (typeof config.seed !== 'number' || !isFinite(config.seed)) {
+        config.seed = Math.floor(Math.random() * 4294967296);
+        console.log(`Random seed: ${config.seed} (set "seed" in ${options.config} to reproduce)`);
+    }
+    config.seed = config.seed >>> 0;
+
+    // The frame the composition was made in; wave positions are in its scene units
+    let frame = null;
+    let waves;
+    let sceneTime = 0;
+    // --scene is relative to the working directory; a config.scene path to the config file, like
+    // the page resolves it next to config.json. config.scene may also be the scene object itself.
+    let scene = null;
+    let sceneName = null;
+    if (options.scene) {
+        sceneName = options.scene;
+        scene = readJSON(options.scene);
+    } else if (typeof config.scene === 'string') {
+        sceneName = path.join(path.dirname(options.config), config.scene);
+        scene = readJSON(sceneName);
+    } else if (config.scene) {
+        sceneName = `${options.config} scene`;
+        scene = config.scene;
+    }
+    if (scene) {
+        const sceneData = readScene(scene, config);
+        showConfigMessages(null, `${sceneName} config`, sceneData.configIssues);
+        config = sceneData.config;
+        waves = sceneData.waves;
+        frame = sceneData.frame;
+        if (sceneData.time !== null) sceneTime = sceneData.time;
+    }
+    if (!frame && getFrameAspectRatio(config) !== null) {
+        frame = getFrameSize(config);
+    } else if (!frame && typeof config.canvasWidth === 'number' && typeof config.canvasHeight === 'number') {
+        frame = { width: config.canvasWidth, height: config.canvasHeight };
+    }
+
+    // A missing dimension follows the frame's aspect ratio
+    let width = parseNumberOption(options, 'width');
+    let height = parseNumberOption(options, 'height');
+    if (frame) {
+        width = width || (height ? height * frame.width / frame.height : frame.width);
+        height = height || width * frame.height / frame.width;
+    }
+    width = Math.round(width || 0);
+    height = Math.round(height || 0);
+    if (!(width > 0 && height > 0)) {
+        throw new Error("Output size unknown: pass --width and --height, lock framing.aspectRatio, or use a scene saved with its frame.");
+    }
+    frame = frame || { width, height };
+
+    if (!waves) {
+        waves = getInitialWavePlacements(config, mulberry32(config.seed), frame.width, frame.height)
+            .map(({ x, y, startTime }, index) => createWave(index, x, y, startTime, config));
+    }
+
+    const view = {
+        ...fitRect(frame.width, frame.height, width, height, 'cover'),
+        gridRes: Math.max(1, Math.round(parseNumberOption(options, 'grid') || config.waveVisuals.gridResolution))
+    };
+    const background = parseColor(config.backgroundColor);
+    const dpi = parseNumberOption(options, 'dpi');
+    const waveStore = new WaveStore();
+    waveStore.setWaves(waves);
+    waveStore.setScene(config, frame.width, frame.height);
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const frames = getFrameTimes(options, sceneTime);
+    frames.forEach(({ time, name }, index) => {
+        const activeWaves = computeActiveWaves(waveStore.query(time), time, config);
+        const rgba = renderFrameRGBA(activeWaves, config, frame.width, frame.height, width, height, view, background);
+        fs.writeFileSync(path.join(options.out, name), encodePNG(width, height, rgba, dpi));
+        console.log(`[${index + 1}/${frames.length}] ${name} (${time.toFixed(3)}s, ${activeWaves.length} waves)`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,737 @@
+// Simulation and rasterization of the wave field without any DOM access, shared by the
+// browser cover (wave-cover.js) and the headless renderer (render-frames.js).
+// Positions and sizes are in scene units of the composition's frame (see getFrameSize()),
+// which are CSS pixels of the canvas unless framing.aspectRatio locks the frame.
+
+import { validateConfig, mergeConfig } from './config-schema.js';
+import { getColormapLUT, lookupColormap, compressAmplitude } from './colormaps.js';
+import { getPropagationParams, propagatedPulse, propagationAmplitude } from './propagation.js';
+import { PAPER_SIZES_MM } from './default-config.js';
+
+// Version 2 stores wave positions as fractions of the scene's frame; version 1 stored canvas pixels
+export const SCENE_FORMAT_VERSION = 2;
+
+// Config keys that describe the viewer rather than the composition; never taken from a scene
+export const SCENE_EXCLUDED_CONFIG_KEYS = ['canvasWidth', 'canvasHeight', 'scene', 'debugMode'];
+
+// Mulberry32: small, fast seeded PRNG returning floats in [0, 1)
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Mixes integers into a 32-bit hash, used to derive independent random streams
+// (per wave, per frame, per grid cell) from the scene seed without shared state
+export function hashInts(...values) {
+    let h = 0x811c9dc5;
+    for (const v of values) {
+        h = Math.imul(h ^ (v | 0), 0x01000193);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0x5bd1e995);
+        h ^= h >>> 15;
+    }
+    return h >>> 0;
+}
+
+export function hashToUnit(...values) {
+    return hashInts(...values) / 4294967296;
+}
+
+// Time is quantized to milliseconds so the same slider position always maps to the same stream
+export function timeKey(time) {
+    return Math.round(time * 1000);
+}
+
+export function getDistance(x1, y1, x2, y2) {
+    const dx = x1 - x2;
+    const dy = y1 - y2;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Distance from (x, y) to the farthest corner of a width x height scene
+export function getMaxCornerDistance(x, y, width, height) {
+    const corners = [
+        { x: 0, y: 0 }, { x: width, y: 0 },
+        { x: 0, y: height }, { x: width, y: height }
+    ];
+    let maxDistance = 0;
+    corners.forEach(corner => {
+        maxDistance = Math.max(maxDistance, getDistance(x, y, corner.x, corner.y));
+    });
+    return maxDistance;
+}
+
+// Number of sources in a wave list; all elements of an array transmit count as one
+export function countSources(waves) {
+    const groups = new Set();
+    let count = 0;
+    for (const wave of waves) {
+        if (!wave.groupId) {
+            count++;
+        } else if (!groups.has(wave.groupId)) {
+            groups.add(wave.groupId);
+            count++;
+        }
+    }
+    return count;
+}
+
+function getApodizationWeight(index, count, windowName) {
+    if (count === 1) return 1;
+    switch (windowName) {
+        case 'hann':
+            // Endpoints excluded so the outer elements still contribute
+            return 0.5 - 0.5 * Math.cos(2 * Math.PI * (index + 1) / (count + 1));
+        case 'hamming':
+            return 0.54 - 0.46 * Math.cos(2 * Math.PI * index / (count - 1));
+        default: // 'rect'
+            return 1;
+    }
+}
+
+// Number of sources that have fired and not yet faded out at time; pointer emission stops at maxWaves
+export function countLiveSources(waves, time, config) {
+    let lifetime = config.waveDynamics.waveLifetimeSeconds;
+    if (config.disintegration.enabled) {
+        lifetime = Math.min(lifetime, config.disintegration.startAgeSeconds + config.disintegration.transitionDurationSeconds);
+    }
+    return countSources(waves.filter(wave => time >= wave.creationTime && time - wave.creationTime < lifetime));
+}
+
+// Element positions, firing delays (s) and weights of an array transmit centered at (x, y).
+// Plane wave: delays grow linearly along the array with sin(steering angle).
+// Focused: elements fire so all pulses arrive at the focal point at the same time.
+export function computeArrayTransmit(x, y, transducer, speed) {
+    const count = Math.max(1, Math.round(transducer.numElements));
+    const orientation = transducer.orientationDegrees * Math.PI / 180;
+    const steering = transducer.steeringAngleDegrees * Math.PI / 180;
+    const axis = { x: Math.cos(orientation), y: Math.sin(orientation) };
+    const normal = { x: -axis.y, y: axis.x };
+    const beam = {
+        x: Math.cos(steering) * normal.x + Math.sin(steering) * axis.x,
+        y: Math.cos(steering) * normal.y + Math.sin(steering) * axis.y
+    };
+
+    const elements = [];
+    for (let i = 0; i < count; i++) {
+        const offset = (i - (count - 1) / 2) * transducer.pitch;
+        elements.push({
+            x: x + axis.x * offset,
+            y: y + axis.y * offset,
+            offset: offset,
+            weight: getApodizationWeight(i, count, transducer.apodization)
+        });
+    }
+
+    if (typeof transducer.focalDepth === 'number' && transducer.focalDepth > 0) {
+        const focusX = x + beam.x * transducer.focalDepth;
+        const focusY = y + beam.y * transducer.focalDepth;
+        const paths = elements.map(element => getDistance(element.x, element.y, focusX, focusY));
+        const longestPath = Math.max(...paths);
+        elements.forEach((element, i) => {
+            element.delay = (longestPath - paths[i]) / speed;
+        });
+    } else {
+        const delays = elements.map(element => element.offset * Math.sin(steering) / speed);
+        const earliest = Math.min(...delays);
+        elements.forEach((element, i) => {
+            element.delay = delays[i] - earliest;
+        });
+    }
+
+    const weightSum = elements.reduce((sum, element) => sum + element.weight, 0);
+    elements.forEach(element => {
+        element.weight *= transducer.gain / weightSum;
+    });
+    return elements;
+}
+
+function getReflectorProperty(reflector, key, reflectors) {
+    return typeof reflector[key] === 'number' ? reflector[key] : reflectors[key];
+}
+
+// Mirrors (x, y) across the infinite line through a segment; null for degenerate segments
+function mirrorAcrossSegment(x, y, segment) {
+    const ex = segment.x2 - segment.x1;
+    const ey = segment.y2 - segment.y1;
+    const lengthSq = ex * ex + ey * ey;
+    if (lengthSq === 0) return null;
+    const t = ((x - segment.x1) * ex + (y - segment.y1) * ey) / lengthSq;
+    const footX = segment.x1 + t * ex;
+    const footY = segment.y1 + t * ey;
+    return { x: 2 * footX - x, y: 2 * footY - y };
+}
+
+// An echo from a segment is an image source behind it, only visible where the ray
+// from the image source to (px, py) passes through the segment
+export function isInReflectionRegion(px, py, wave) {
+    const { x1, y1, x2, y2 } = wave.mask;
+    const ex = x2 - x1;
+    const ey = y2 - y1;
+    const sideSource = ex * (wave.y - y1) - ey * (wave.x - x1);
+    const sidePoint = ex * (py - y1) - ey * (px - x1);
+    if (sideSource * sidePoint >= 0) return false;
+    const u = sideSource / (sideSource - sidePoint);
+    const ix = wave.x + (px - wave.x) * u;
+    const iy = wave.y + (py - wave.y) * u;
+    const t = ((ix - x1) * ex + (iy - y1) * ey) / (ex * ex + ey * ey);
+    return t >= 0 && t <= 1;
+}
+
+// Derives the echoes of a wave from a reflectors config section, up to maxEchoOrder.
+// A scatterer re-emits when the wavefront reaches it, scaled by its reflection coefficient
+// and the incident amplitude. A segment reflects like a mirror image source; its mask limits
+// the echo to the region in front of the segment (for higher orders only the last mask is kept).
+export function computeEchoes(sourceWave, reflectors, waveSpeed, propagation) {
+    const echoes = [];
+    const sourceAmplitude = sourceWave.amplitude === undefined ? 1 : sourceWave.amplitude;
+    const pending = [{ ...sourceWave, amplitude: sourceAmplitude, echoOrder: 0, reflectorKey: null, mask: null }];
+
+    while (pending.length > 0) {
+        const parent = pending.shift();
+        if (parent.echoOrder >= reflectors.maxEchoOrder) continue;
+
+        const emit = (reflectorKey, reflectorCode, echo) => {
+            if (Math.abs(echo.amplitude) < reflectors.minEchoAmplitude * Math.abs(sourceAmplitude)) return;
+            const wave = {
+                id: `${parent.id}>${reflectorKey}`,
+                seed: hashInts(parent.seed, reflectorCode),
+                fc: parent.fc,
+                sig: parent.sig,
+                echoOrder: parent.echoOrder + 1,
+                reflectorKey: reflectorKey,
+                ...echo
+            };
+            echoes.push(wave);
+            pending.push(wave);
+        };
+
+        reflectors.scatterers.forEach((scatterer, index) => {
+            const reflectorKey = `s${index}`;
+            if (parent.reflectorKey === reflectorKey) return;
+            if (parent.mask && !isInReflectionRegion(scatterer.x, scatterer.y, parent)) return;
+            const distance = getDistance(parent.x, parent.y, scatterer.x, scatterer.y);
+            emit(reflectorKey, 2 * index + 1, {
+                x: scatterer.x,
+                y: scatterer.y,
+                creationTime: parent.creationTime + distance / waveSpeed + getReflectorProperty(scatterer, 'delaySeconds', reflectors),
+                amplitude: parent.amplitude * getReflectorProperty(scatterer, 'reflectionCoefficient', reflectors) *
+                    propagationAmplitude(distance, parent.fc, parent.sig, propagation),
+                mask: null
+            });
+        });
+
+        reflectors.segments.forEach((segment, index) => {
+            const reflectorKey = `l${index}`;
+            if (parent.reflectorKey === reflectorKey) return;
+            const image = mirrorAcrossSegment(parent.x, parent.y, segment);
+            if (!image) return;
+            // The distance from the image source already covers the full path, spreading included
+            emit(reflectorKey, 2 * index + 2, {
+                x: image.x,
+                y: image.y,
+                creationTime: parent.creationTime + getReflectorProperty(segment, 'delaySeconds', reflectors),
+                amplitude: parent.amplitude * getReflectorProperty(segment, 'reflectionCoefficient', reflectors),
+                mask: { x1: segment.x1, y1: segment.y1, x2: segment.x2, y2: segment.y2 }
+            });
+        });
+    }
+    return echoes;
+}
+
+// Maps an envelope amplitude to 0..1 like a B-mode display: 20 log10 relative to
+// maxAmplitude plus gain, with bmodeDynamicRangeDb decibels shown above black
+export function getBModeLevel(envelope, visuals) {
+    const decibels = 20 * Math.log10(envelope / visuals.maxAmplitude) + visuals.bmodeGainDb;
+    return Math.max(0, Math.min(1, (decibels + visuals.bmodeDynamicRangeDb) / visuals.bmodeDynamicRangeDb));
+}
+
+
+// A new source wave; index is the wave's sequence number, which fixes its ID and random stream
+export function createWave(index, x, y, startTime, config, extra = {}) {
+    return {
+        id: `w${index.toString(36)}`, // Unique, deterministic ID
+        seed: hashInts(config.seed, index), // Per-wave random stream for corruption/noise
+        x: x,
+        y: y,
+        creationTime: startTime,
+        // fc and sig are static per wave type, store them here
+        fc: config.waveDynamics.carrierFrequency / 100.0,
+        sig: config.waveDynamics.gaussianWidth,
+        ...extra
+    };
+}
+
+// Positions and start times of the waves a non-interactive cover starts with
+export function getInitialWavePlacements(config, rng, width, height) {
+    const count = config.interaction.numInitialWaves;
+    const placements = [];
+    for (let i = 0; i < count; i++) {
+        const x = rng() * width;
+        const y = rng() * height;
+        placements.push({ x, y, startTime: (i / count) * 2.0 });
+    }
+    return placements;
+}
+
+// Shortest wait between attract mode waves, so a sequence of zero delays cannot stall a frame
+const ATTRACT_MIN_INTERVAL_SECONDS = 0.05;
+
+// Position (scene units) of the index-th attract mode wave and the wait before the next one.
+// Random positions come from the seed, so an attract run is reproducible.
+export function getAttractPlacement(attract, index, seed, width, height) {
+    let x, y;
+    let waitSeconds = attract.intervalSeconds;
+    switch (attract.pattern) {
+        case 'grid': {
+            const cell = index % (attract.gridColumns * attract.gridRows);
+            x = ((cell % attract.gridColumns) + 0.5) / attract.gridColumns * width;
+            y = (Math.floor(cell / attract.gridColumns) + 0.5) / attract.gridRows * height;
+            break;
+        }
+        case 'circle': {
+            const angle = 2 * Math.PI * (index % attract.circlePoints) / attract.circlePoints;
+            const radius = attract.circleRadius * Math.min(width, height);
+            x = width / 2 + Math.cos(angle) * radius;
+            y = height / 2 + Math.sin(angle) * radius;
+            break;
+        }
+        case 'sequence':
+            if (attract.sequence.length > 0) {
+                const step = attract.sequence[index % attract.sequence.length];
+                x = step.x * width;
+                y = step.y * height;
+                if (typeof step.delaySeconds === 'number') waitSeconds = step.delaySeconds;
+                break;
+            }
+            // An empty sequence falls back to random positions
+        default: // 'random'
+            x = hashToUnit(seed, index, 0) * width;
+            y = hashToUnit(seed, index, 1) * height;
+    }
+    return { x, y, waitSeconds: Math.max(ATTRACT_MIN_INTERVAL_SECONDS, waitSeconds) };
+}
+
+// Computes the physical sheet layout (in mm) and its pixel size for a printExport config section
+export function getPrintLayout(printConfig) {
+    const paper = PAPER_SIZES_MM[printConfig.paperSize] || PAPER_SIZES_MM.B5;
+    const trimWidthMm = printConfig.widthMm || paper.width;
+    const trimHeightMm = printConfig.heightMm || paper.height;
+    const isWrap = printConfig.layout === "wrap";
+    const spineWidthMm = isWrap ? printConfig.spineWidthMm : 0;
+    const bleedMm = printConfig.bleedMm;
+
+    // For the wrap layout the sheet is back cover, spine and front cover side by side
+    const coverWidthMm = isWrap ? 2 * trimWidthMm + spineWidthMm : trimWidthMm;
+    const sheetWidthMm = coverWidthMm + 2 * bleedMm;
+    const sheetHeightMm = trimHeightMm + 2 * bleedMm;
+    const pxPerMm = printConfig.dpi / 25.4;
+
+    return {
+        isWrap,
+        trimWidthMm,
+        trimHeightMm,
+        spineWidthMm,
+        bleedMm,
+        coverWidthMm,
+        sheetWidthMm,
+        sheetHeightMm,
+        pxPerMm,
+        widthPx: Math.round(sheetWidthMm * pxPerMm),
+        heightPx: Math.round(sheetHeightMm * pxPerMm)
+    };
+}
+
+// Uniform scale and centering offsets that fit a width x height rectangle into targetWidth x targetHeight:
+// whole, with bars along two sides ("contain"), or filling it with the overflow cropped ("cover")
+export function fitRect(width, height, targetWidth, targetHeight, mode = 'contain') {
+    const scale = (mode === 'cover' ? Math.max : Math.min)(targetWidth / width, targetHeight / height);
+    return {
+        scale: scale,
+        offsetX: (targetWidth - width * scale) / 2,
+        offsetY: (targetHeight - height * scale) / 2
+    };
+}
+
+// Locked width / height of the frame, or null if the frame follows the canvas
+export function getFrameAspectRatio(config) {
+    const aspectRatio = config.framing.aspectRatio;
+    if (aspectRatio === 'print') {
+        const layout = getPrintLayout(config.printExport);
+        return layout.sheetWidthMm / layout.sheetHeightMm;
+    }
+    return aspectRatio;
+}
+
+// Size (scene units) of the composition's frame: framing.frameWidth wide at a locked aspect
+// ratio, else the canvas size (CSS pixels) passed in
+export function getFrameSize(config, canvasWidth, canvasHeight) {
+    const aspectRatio = getFrameAspectRatio(config);
+    if (aspectRatio === null) return { width: canvasWidth, height: canvasHeight };
+    return { width: config.framing.frameWidth, height: config.framing.frameWidth / aspectRatio };
+}
+
+function isValidFrame(frame) {
+    return frame !== null && typeof frame === 'object' &&
+        [frame.width, frame.height].every(v => typeof v === 'number' && isFinite(v) && v > 0);
+}
+
+// Checks a saved scene and resolves it against baseConfig. Returns the scene's config, its
+// normalized waves in scene units of its frame, that frame ({ width, height }, null if a
+// version 1 scene did not save its canvas), the next free wave index and its time (null if
+// not saved). Throws if the scene is malformed.
+export function readScene(scene, baseConfig) {
+    if (!scene || !Array.isArray(scene.waves)) {
+        throw new Error("Scene has no 'waves' array.");
+    }
+    if (scene.version > SCENE_FORMAT_VERSION) {
+        console.warn(`Scene format version ${scene.version} is newer than supported (${SCENE_FORMAT_VERSION}), loading anyway.`);
+    }
+    const isNormalized = scene.version >= 2;
+    const frame = isNormalized ? scene.frame : scene.canvas;
+    if (isNormalized && !isValidFrame(frame)) {
+        throw new Error("Scene needs a 'frame' with a positive width and height.");
+    }
+    const positionScale = isNormalized ? { x: frame.width, y: frame.height } : { x: 1, y: 1 };
+
+    const sceneConfig = { ...scene.config };
+    for (const key of SCENE_EXCLUDED_CONFIG_KEYS) {
+        delete sceneConfig[key];
+    }
+    const { config: validSceneConfig, issues: configIssues } = validateConfig(sceneConfig, baseConfig);
+    const config = mergeConfig(baseConfig, validSceneConfig);
+    if (typeof scene.seed === 'number' && isFinite(scene.seed)) {
+        config.seed = scene.seed >>> 0;
+    }
+
+    const waves = scene.waves.map((wave, index) => {
+        if (![wave.x, wave.y, wave.creationTime].every(v => typeof v === 'number' && isFinite(v))) {
+            throw new Error(`Scene wave #${index} needs numeric x, y and creationTime.`);
+        }
+        return {
+            id: typeof wave.id === 'string' ? wave.id : `w${index.toString(36)}`,
+            seed: typeof wave.seed === 'number' ? wave.seed >>> 0 : hashInts(config.seed, index),
+            x: wave.x * positionScale.x,
+            y: wave.y * positionScale.y,
+            creationTime: wave.creationTime,
+            fc: typeof wave.fc === 'number' ? wave.fc : config.waveDynamics.carrierFrequency / 100.0,
+            sig: typeof wave.sig === 'number' ? wave.sig : config.waveDynamics.gaussianWidth,
+            ...(typeof wave.amplitude === 'number' && { amplitude: wave.amplitude }),
+            ...(typeof wave.groupId === 'string' && { groupId: wave.groupId })
+        };
+    });
+
+    // Continue numbering after the highest deterministic ID so new waves stay unique
+    const nextWaveIndex = waves.reduce((next, wave) => {
+        const index = /^w[0-9a-z]+$/.test(wave.id) ? parseInt(wave.id.slice(1), 36) : -1;
+        return Math.max(next, index + 1);
+    }, waves.length);
+    const time = typeof scene.time === 'number' && isFinite(scene.time) ? scene.time : null;
+
+    return {
+        config,
+        configIssues,
+        waves,
+        frame: isValidFrame(frame) ? { width: frame.width, height: frame.height } : null,
+        nextWaveIndex,
+        time
+    };
+}
+
+// Moves the waves and reflectors of a scene read by readScene() from its frame into frame,
+// scaled uniformly and centered so the whole composition stays visible. Sizes (wave widths,
+// speeds, array pitch) are in scene units and not scaled. Returns the fit that was applied.
+export function fitSceneToFrame(sceneData, frame) {
+    const from = sceneData.frame || frame;
+    const fit = fitRect(from.width, from.height, frame.width, frame.height);
+    transformScenePositions(sceneData, fit);
+    sceneData.frame = { width: frame.width, height: frame.height };
+    return fit;
+}
+
+// Maps the wave and reflector positions of { waves, config } by x * scale + offsetX, y * scale + offsetY
+export function transformScenePositions(sceneData, { scale, offsetX, offsetY }) {
+    if (scale === 1 && offsetX === 0 && offsetY === 0) return;
+
+    const mapX = (x) => x * scale + offsetX;
+    const mapY = (y) => y * scale + offsetY;
+    sceneData.waves.forEach(wave => {
+        wave.x = mapX(wave.x);
+        wave.y = mapY(wave.y);
+    });
+    // The reflector lists may still be the ones of the scene object or the base config, so they are replaced
+    const reflectors = sceneData.config.reflectors;
+    sceneData.config.reflectors = {
+        ...reflectors,
+        scatterers: reflectors.scatterers.map(scatterer => ({ ...scatterer, x: mapX(scatterer.x), y: mapY(scatterer.y) })),
+        segments: reflectors.segments.map(segment => ({
+            ...segment, x1: mapX(segment.x1), y1: mapY(segment.y1), x2: mapX(segment.x2), y2: mapY(segment.y2)
+        }))
+    };
+}
+
+// Per-frame state of the waves (echoes included) that are visible at globalTime: age, radius,
+// frame seed and disintegration progress. candidates come from WaveStore.query() as
+// { wave, maxCornerDistance }, the distance from the source to the farthest scene corner.
+export function computeActiveWaves(candidates, globalTime, config) {
+    const newActiveWaves = [];
+
+    for (const { wave: waveData, maxCornerDistance } of candidates) {
+        const age = globalTime - waveData.creationTime;
+
+        if (age < 0) continue; // Wave hasn't started yet
+
+        const currentWaveState = { ...waveData }; // Base properties
+        if (currentWaveState.amplitude === undefined) {
+            currentWaveState.amplitude = 1; // Echoes and array elements carry their own amplitude
+        }
+        currentWaveState.age = age;
+        currentWaveState.currentTau = age * config.waveDynamics.waveSpeed;
+        currentWaveState.frameSeed = hashInts(waveData.seed, timeKey(globalTime));
+
+        // Determine disintegration status for this frame
+        currentWaveState.isDisintegrating = false;
+        currentWaveState.timeSinceDisintegrationTrigger = 0;
+        currentWaveState.disintegrationTransitionProgress = 0;
+
+        if (config.disintegration.enabled && age > config.disintegration.startAgeSeconds) {
+            currentWaveState.isDisintegrating = true;
+            const disintegrationEffectActualStartTime = waveData.creationTime + config.disintegration.startAgeSeconds;
+            currentWaveState.timeSinceDisintegrationTrigger = globalTime - disintegrationEffectActualStartTime;
+
+            if (currentWaveState.timeSinceDisintegrationTrigger >= 0) {
+                 currentWaveState.disintegrationTransitionProgress = Math.min(1, currentWaveState.timeSinceDisintegrationTrigger / config.disintegration.transitionDurationSeconds);
+            } else {
+                // This case (negative timeSinceDisintegrationTrigger) implies globalTime is before the trigger,
+                // so it shouldn't be disintegrating yet. The age > startAgeSeconds check should handle this.
+                // For safety, reset disintegration state if somehow triggered prematurely.
+                currentWaveState.isDisintegrating = false;
+            }
+        }
+
+        // Filtering logic: should this wave be kept for rendering?
+        let keepThisWave = true;
+        if (currentWaveState.isDisintegrating) {
+            // Wave is removed once its transition is complete
+            if (currentWaveState.timeSinceDisintegrationTrigger >= config.disintegration.transitionDurationSeconds) {
+                keepThisWave = false;
+            }
+        } else { // Not disintegrating
+            const innerEdgeLimit = currentWaveState.currentTau - waveData.sig * config.waveDynamics.waveRemovalEdgeFactor;
+            if (innerEdgeLimit > maxCornerDistance) {
+                keepThisWave = false;
+            }
+            if (age >= config.waveDynamics.waveLifetimeSeconds) {
+                keepThisWave = false;
+            }
+        }
+
+        if (keepThisWave) {
+            newActiveWaves.push(currentWaveState);
+        }
+    }
+    return newActiveWaves;
+}
+
+// Amplitude and corruption factors of a wave for the current frame, shared by all renderers
+export function getWaveRenderFactors(wave, disintegration) {
+    let amplitude = 1.0;
+    let corruption = 0;
+
+    if (wave.isDisintegrating && disintegration.enabled) {
+        if (wave.timeSinceDisintegrationTrigger >= 0 && wave.timeSinceDisintegrationTrigger < disintegration.transitionDurationSeconds) {
+            amplitude = 1.0 - wave.disintegrationTransitionProgress;
+            corruption = wave.disintegrationTransitionProgress;
+        } else if (wave.timeSinceDisintegrationTrigger >= disintegration.transitionDurationSeconds) {
+            amplitude = 0; // Fully faded after transition
+        }
+    }
+    return { amplitude: amplitude * wave.amplitude, corruption };
+}
+
+// CPU evaluation of the wave field into data, a zeroed width x height RGBA buffer (e.g. ImageData.data).
+// The view maps output pixels to scene coordinates: sceneX = (outputX - offsetX) / scale,
+// evaluated once per gridRes x gridRes block.
+export function rasterizeField(data, width, height, view, activeWaves, waveFactors, config) {
+    const visuals = config.waveVisuals;
+    const edgeFactor = config.waveDynamics.waveRemovalEdgeFactor;
+    const propagation = getPropagationParams(config.waveDynamics);
+    const gridRes = view.gridRes;
+    const colormapLUT = getColormapLUT(visuals);
+    const isBMode = visuals.displayMode === 'bmode';
+
+    // Draw standard wave patterns
+    for (let gy = 0; gy < height; gy += gridRes) {
+        for (let gx = 0; gx < width; gx += gridRes) {
+            const pixelX = (gx + gridRes / 2 - view.offsetX) / view.scale;
+            const pixelY = (gy + gridRes / 2 - view.offsetY) / view.scale;
+            let totalValue = 0;
+            let totalQuadrature = 0; // Only accumulated for the B-mode display
+
+            activeWaves.forEach((wave, waveIndex) => { // Iterate over activeWaves
+                const { amplitude: waveAmplitudeFactor, corruption: corruptionFactor } = waveFactors[waveIndex];
+
+                // Apply corruption by randomly skipping some contributions
+                if (corruptionFactor > 0 && hashToUnit(wave.frameSeed, gx, gy) < corruptionFactor * 0.75) { // 0.75 to make it less aggressive initially
+                    // Skip this wave's contribution to this pixel due to corruption
+                } else if (waveAmplitudeFactor !== 0 && (!wave.mask || isInReflectionRegion(pixelX, pixelY, wave))) {
+                    const dx = pixelX - wave.x;
+                    const dy = pixelY - wave.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    // currentTau is already on the wave object from computeActiveWaves
+                    if (Math.abs(distance - wave.currentTau) < wave.sig * edgeFactor) {
+                        totalValue += propagatedPulse(distance, wave.fc, wave.currentTau, wave.sig, propagation) * waveAmplitudeFactor;
+                        if (isBMode) {
+                            totalQuadrature += propagatedPulse(distance, wave.fc, wave.currentTau, wave.sig, propagation, true) * waveAmplitudeFactor;
+                        }
+                    }
+                }
+            });
+
+            if (totalValue !== 0) {
+                let normalizedIntensity, alpha;
+                if (isBMode) {
+                    // Log-compressed envelope spans the whole colormap, opaque above the display floor
+                    const level = getBModeLevel(Math.sqrt(totalValue * totalValue + totalQuadrature * totalQuadrature), visuals);
+                    normalizedIntensity = level * 2 - 1;
+                    alpha = level > 0 ? 1 : 0;
+                } else {
+                    normalizedIntensity = compressAmplitude(Math.max(-1, Math.min(1, totalValue / visuals.maxAmplitude)), visuals);
+                    alpha = Math.abs(normalizedIntensity); // Alpha based on (compressed) magnitude
+                }
+
+                const [r, g, b] = lookupColormap(normalizedIntensity, colormapLUT);
+
+                for (let offsetY = 0; offsetY < gridRes; offsetY++) {
+                    for (let offsetX = 0; offsetX < gridRes; offsetX++) {
+                        const canvasX = gx + offsetX;
+                        const canvasY = gy + offsetY;
+                        if (canvasX < width && canvasY < height) {
+                            const index = (canvasY * width + canvasX) * 4;
+                            data[index] = r;
+                            data[index + 1] = g;
+                            data[index + 2] = b;
+                            data[index + 3] = Math.floor(alpha * 255);
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Generates the noise blocks of disintegrating waves, in scene coordinates, and hands each
+// to drawBlock(x, y, size, r, g, b, alpha). Blocks not fully inside the scene are skipped.
+export function forEachNoiseBlock(activeWaves, config, sceneWidth, sceneHeight, drawBlock) {
+    const disintegration = config.disintegration;
+    if (!disintegration.enabled) return;
+    const colormapLUT = getColormapLUT(config.waveVisuals);
+
+    activeWaves.forEach(wave => { // Iterate over activeWaves
+        if (wave.isDisintegrating && wave.timeSinceDisintegrationTrigger >=0) {
+            const timeInEffect = wave.timeSinceDisintegrationTrigger;
+
+            let noiseOverallAlphaFactor = 0;
+            let currentBlockSize = disintegration.noiseBlockSizeStart;
+            const transitionProgress = wave.disintegrationTransitionProgress; // Already calculated
+
+            if (timeInEffect < disintegration.transitionDurationSeconds) {
+                // Noise alpha fades in and then out during the transition period.
+                // Peaks at transitionProgress = 0.5
+                noiseOverallAlphaFactor = Math.sin(transitionProgress * Math.PI);
+
+                currentBlockSize = disintegration.noiseBlockSizeStart +
+                                 (disintegration.noiseBlockSizeEnd - disintegration.noiseBlockSizeStart) * transitionProgress;
+            } else {
+                // After transition duration, noise should be fully faded.
+                noiseOverallAlphaFactor = 0;
+            }
+
+            currentBlockSize = Math.max(1, Math.floor(currentBlockSize));
+
+            if (noiseOverallAlphaFactor > 0) {
+                const currentEffectiveRadius = wave.currentTau; // Noise band centers on the wave's current theoretical radius
+
+                const bandHalfWidth = (wave.sig * disintegration.noiseSpreadFactor) / 2;
+                const rng = mulberry32(wave.frameSeed);
+
+                for (let i = 0; i < disintegration.numNoiseBlocksPerWave; i++) {
+                    const angle = rng() * 2 * Math.PI;
+                    const dist = currentEffectiveRadius + (rng() - 0.5) * 2 * bandHalfWidth;
+
+                    const nx = wave.x + Math.cos(angle) * dist;
+                    const ny = wave.y + Math.sin(angle) * dist;
+
+                    // Use currentBlockSize for snapping and drawing
+                    const blockX = Math.floor(nx / currentBlockSize) * currentBlockSize;
+                    const blockY = Math.floor(ny / currentBlockSize) * currentBlockSize;
+
+                    if (blockX < 0 || blockX + currentBlockSize > sceneWidth || blockY < 0 || blockY + currentBlockSize > sceneHeight) continue;
+                    if (wave.mask && !isInReflectionRegion(nx, ny, wave)) continue;
+
+                    const randomVal = rng(); // This determines which side of the "zero" point for color
+                    // For noise, we can simplify and pick a color based on a random intensity
+                    // or tie it to the wave's original positive/negative nature if we stored that.
+                    // Here, let's use a simplified approach: pick a random point on the colormap.
+                    // Or, more consistently, use a fixed intensity for noise, e.g., slightly positive or negative.
+                    // For now, let's use the randomVal to pick a side of the colormap.
+                    const noiseIntensityForColor = (randomVal - 0.5) * 2 * 0.5; // e.g., map to -0.5 to 0.5 range
+
+                    const [r,g,b] = lookupColormap(noiseIntensityForColor, colormapLUT);
+
+
+                    const radialEnvelope = Math.exp(-0.5 * Math.pow((dist - currentEffectiveRadius) / bandHalfWidth, 2));
+                    const finalAlpha = noiseOverallAlphaFactor * radialEnvelope * disintegration.noiseMaxBlockAlpha * (0.5 + randomVal * 0.5) *
+                        Math.min(1, Math.abs(wave.amplitude));
+
+                    drawBlock(blockX, blockY, currentBlockSize, r, g, b, Math.min(1, finalAlpha));
+                }
+            }
+        }
+    });
+}
+
+// Source-over blend of one color into an RGBA pixel of an opaque buffer
+function blendPixel(data, index, r, g, b, alpha) {
+    data[index] = r * alpha + data[index] * (1 - alpha);
+    data[index + 1] = g * alpha + data[index + 1] * (1 - alpha);
+    data[index + 2] = b * alpha + data[index + 2] * (1 - alpha);
+}
+
+// Renders a frame into a new opaque RGBA buffer: background, field, then disintegration noise,
+// the same layers the browser composites for exports. background is [r, g, b].
+export function renderFrameRGBA(activeWaves, config, sceneWidth, sceneHeight, width, height, view, background) {
+    const field = new Uint8ClampedArray(width * height * 4);
+    const waveFactors = activeWaves.map(wave => getWaveRenderFactors(wave, config.disintegration));
+    rasterizeField(field, width, height, view, activeWaves, waveFactors, config);
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let index = 0; index < data.length; index += 4) {
+        data[index] = background[0];
+        data[index + 1] = background[1];
+        data[index + 2] = background[2];
+        data[index + 3] = 255;
+        if (field[index + 3] > 0) {
+            blendPixel(data, index, field[index], field[index + 1], field[index + 2], field[index + 3] / 255);
+        }
+    }
+
+    forEachNoiseBlock(activeWaves, config, sceneWidth, sceneHeight, (blockX, blockY, size, r, g, b, alpha) => {
+        const x0 = Math.max(0, Math.round(blockX * view.scale + view.offsetX));
+        const y0 = Math.max(0, Math.round(blockY * view.scale + view.offsetY));
+        const x1 = Math.min(width, Math.round((blockX + size) * view.scale + view.offsetX));
+        const y1 = Math.min(height, Math.round((blockY + size) * view.scale + view.offsetY));
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                blendPixel(data, (y * width + x) * 4, r, g, b, alpha);
+            }
+        }
+    });
+    return data;
+}
@@ -0,0 +1,283 @@
+// Timeline editor (debug mode): a marker per entry of a WaveCover's allWavesEver at its creationTime,
+// draggable to retime it, plus dragging wave sources on the canvas and deleting them.
+// Waves of one array transmit (same groupId) are edited together.
+
+import { getDistance } from './simulation.js';
+
+const TIMELINE_PADDING = 12;        // px left/right of the 0..timeSliderMax track
+const TIMELINE_MARKER_HIT_RADIUS = 5;
+const SOURCE_HIT_RADIUS = 10;       // CSS px around a source that picks it on the canvas
+
+export class TimelineEditor {
+    constructor(cover, timelineCanvas) {
+        this.cover = cover;
+        this.canvas = timelineCanvas;
+        this.ctx = timelineCanvas.getContext('2d');
+        this.selectedWaveId = null;
+        this.timelineDrag = null;            // { mode: 'seek' } or { mode: 'retime', startX, startTimes }
+        this.sourceDrag = null;              // { startX, startY, startPositions }
+
+        this.canvas.addEventListener('pointerdown', (event) => this.handleTimelinePointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.handleTimelinePointerMove(event));
+        this.canvas.addEventListener('pointerup', () => this.handleTimelinePointerUp());
+        cover.listen(cover.canvas, 'pointerdown', (event) => this.handleSourcePointerDown(event));
+        cover.listen(cover.canvas, 'pointermove', (event) => this.handleSourcePointerMove(event));
+        cover.listen(cover.canvas, 'pointerup', () => this.handleSourcePointerUp());
+    }
+
+    getMaxTime() {
+        return this.cover.config.debugMode.timeSliderMax || 60;
+    }
+
+    getTimeScale() {
+        return (this.canvas.width - 2 * TIMELINE_PADDING) / this.getMaxTime();
+    }
+
+    timeToX(time) {
+        return TIMELINE_PADDING + time * this.getTimeScale();
+    }
+
+    xToTime(x) {
+        const time = (x - TIMELINE_PADDING) / this.getTimeScale();
+        return Math.max(0, Math.min(this.getMaxTime(), time));
+    }
+
+    // IDs of the selected wave and the rest of its array transmit
+    getSelectedWaveIds() {
+        const waves = this.cover.allWavesEver;
+        const selected = waves.find(wave => wave.id === this.selectedWaveId);
+        if (!selected) return [];
+        if (selected.groupId === undefined) return [selected.id];
+        return waves.filter(wave => wave.groupId === selected.groupId).map(wave => wave.id);
+    }
+
+    // Whether the current press on the cover canvas picked a source to move
+    isDraggingSource() {
+        return this.sourceDrag !== null;
+    }
+
+    // Edits change waves in place, so the store re-sorts them and recomputes their spans
+    refreshAfterWaveEdit() {
+        this.cover.waveStore.invalidate();
+        this.cover.updateAndFilterWaves();
+        this.cover.draw();
+    }
+
+    setWaveTimes(times) {
+        this.cover.allWavesEver.forEach(wave => {
+            if (times.has(wave.id)) wave.creationTime = times.get(wave.id);
+        });
+        this.refreshAfterWaveEdit();
+    }
+
+    setWavePositions(positions) {
+        this.cover.allWavesEver.forEach(wave => {
+            if (positions.has(wave.id)) {
+                wave.x = positions.get(wave.id).x;
+                wave.y = positions.get(wave.id).y;
+            }
+        });
+        this.refreshAfterWaveEdit();
+    }
+
+    deleteWaves(waveIds) {
+        this.cover.history.recordWaveListChange(`Delete ${waveIds.length} wave(s)`, () => {
+            this.cover.allWavesEver = this.cover.allWavesEver.filter(wave => !waveIds.includes(wave.id));
+        });
+        if (waveIds.includes(this.selectedWaveId)) this.selectedWaveId = null;
+        console.log(`Deleted ${waveIds.length} wave(s).`);
+        this.refreshAfterWaveEdit();
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        if (this.canvas.width !== this.canvas.clientWidth) {
+            this.canvas.width = this.canvas.clientWidth;
+        }
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const maxTime = this.getMaxTime();
+        const trackY = height / 2;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(50, 50, 50, 0.8)';
+        ctx.fillRect(0, 0, width, height);
+
+        // Track with a tick every 5 s
+        ctx.strokeStyle = '#888888';
+        ctx.fillStyle = '#aaaaaa';
+        ctx.font = '10px sans-serif';
+        ctx.beginPath();
+        ctx.moveTo(this.timeToX(0), trackY);
+        ctx.lineTo(this.timeToX(maxTime), trackY);
+        for (let time = 0; time <= maxTime; time += 5) {
+            const x = this.timeToX(time);
+            ctx.moveTo(x, trackY - 3);
+            ctx.lineTo(x, trackY + 3);
+            ctx.fillText(`${time}s`, x + 2, height - 4);
+        }
+        ctx.stroke();
+
+        const selectedIds = this.getSelectedWaveIds();
+        for (const wave of this.cover.allWavesEver) {
+            const x = this.timeToX(wave.creationTime);
+            const isSelected = selectedIds.includes(wave.id);
+            ctx.strokeStyle = isSelected ? '#ffd700' : '#ffffff';
+            ctx.lineWidth = isSelected ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(x, trackY - 10);
+            ctx.lineTo(x, trackY + 10);
+            ctx.stroke();
+        }
+
+        // Playhead
+        const playheadX = this.timeToX(Math.min(this.cover.globalTime, maxTime));
+        ctx.strokeStyle = '#ff4040';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(playheadX, 0);
+        ctx.lineTo(playheadX, height);
+        ctx.stroke();
+    }
+
+    // Source positions on the canvas while editing; sources that have not fired yet are dimmed
+    drawSourceMarkers(targetCtx) {
+        const selectedIds = this.getSelectedWaveIds();
+        targetCtx.save();
+        const cssPixel = this.cover.applySceneTransform(targetCtx);
+        targetCtx.lineWidth = cssPixel;
+        for (const wave of this.cover.allWavesEver) {
+            targetCtx.strokeStyle = selectedIds.includes(wave.id) ? '#ffd700' : 'rgba(255, 255, 255, 0.6)';
+            targetCtx.globalAlpha = wave.creationTime > this.cover.globalTime ? 0.4 : 1;
+            targetCtx.beginPath();
+            targetCtx.arc(wave.x, wave.y, 3 * cssPixel, 0, 2 * Math.PI);
+            targetCtx.stroke();
+        }
+        targetCtx.restore();
+    }
+
+    getTimelinePointerX(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (event.clientX - rect.left) * (this.canvas.width / rect.width);
+    }
+
+    handleTimelinePointerDown(event) {
+        if (this.cover.isExportingAnimation) return;
+        const x = this.getTimelinePointerX(event);
+        let nearest = null;
+        let nearestDistance = TIMELINE_MARKER_HIT_RADIUS;
+        for (const wave of this.cover.allWavesEver) {
+            const distance = Math.abs(this.timeToX(wave.creationTime) - x);
+            if (distance <= nearestDistance) {
+                nearest = wave;
+                nearestDistance = distance;
+            }
+        }
+        this.canvas.setPointerCapture(event.pointerId);
+
+        if (nearest) {
+            this.selectedWaveId = nearest.id;
+            const selectedIds = this.getSelectedWaveIds();
+            this.timelineDrag = {
+                mode: 'retime',
+                startX: x,
+                startTimes: new Map(this.cover.allWavesEver.filter(wave => selectedIds.includes(wave.id)).map(wave => [wave.id, wave.creationTime]))
+            };
+            this.refreshAfterWaveEdit();
+        } else {
+            this.timelineDrag = { mode: 'seek' };
+            this.cover.setTime(this.xToTime(x));
+        }
+    }
+
+    handleTimelinePointerMove(event) {
+        const drag = this.timelineDrag;
+        if (!drag) return;
+        const x = this.getTimelinePointerX(event);
+        if (drag.mode === 'seek') {
+            this.cover.setTime(this.xToTime(x));
+            return;
+        }
+        // Shift the whole group by the same amount so its relative delays are kept
+        const deltaTime = (x - drag.startX) / this.getTimeScale();
+        const earliest = Math.min(...drag.startTimes.values());
+        const clampedDelta = Math.max(-earliest, deltaTime);
+        const times = new Map();
+        drag.startTimes.forEach((time, id) => times.set(id, time + clampedDelta));
+        this.setWaveTimes(times);
+    }
+
+    handleTimelinePointerUp() {
+        const drag = this.timelineDrag;
+        if (drag && drag.mode === 'retime') {
+            const after = new Map();
+            this.cover.allWavesEver.forEach(wave => {
+                if (drag.startTimes.has(wave.id)) after.set(wave.id, wave.creationTime);
+            });
+            if ([...after].some(([id, time]) => time !== drag.startTimes.get(id))) {
+                this.cover.history.recordWaveEdit('Retime wave', drag.startTimes, after, (times) => this.setWaveTimes(times));
+            }
+        }
+        this.timelineDrag = null;
+    }
+
+    // While paused, a press near a source selects it and dragging moves it (with its group)
+    handleSourcePointerDown(event) {
+        if (!this.cover.isPaused || event.shiftKey || this.cover.isExportingAnimation) return;
+        const { x, y } = this.cover.getScenePointerPosition(event);
+        let nearest = null;
+        let nearestDistance = SOURCE_HIT_RADIUS * this.cover.pixelRatio / this.cover.view.scale; // In scene units
+        for (const wave of this.cover.allWavesEver) {
+            const distance = getDistance(x, y, wave.x, wave.y);
+            if (distance <= nearestDistance) {
+                nearest = wave;
+                nearestDistance = distance;
+            }
+        }
+        if (!nearest) return;
+
+        this.cover.canvas.setPointerCapture(event.pointerId);
+        this.selectedWaveId = nearest.id;
+        const selectedIds = this.getSelectedWaveIds();
+        this.sourceDrag = {
+            startX: x,
+            startY: y,
+            startPositions: new Map(this.cover.allWavesEver.filter(wave => selectedIds.includes(wave.id)).map(wave => [wave.id, { x: wave.x, y: wave.y }]))
+        };
+        this.refreshAfterWaveEdit();
+    }
+
+    handleSourcePointerMove(event) {
+        const drag = this.sourceDrag;
+        if (!drag) return;
+        const { x, y } = this.cover.getScenePointerPosition(event);
+        const positions = new Map();
+        drag.startPositions.forEach((position, id) => {
+            positions.set(id, { x: position.x + x - drag.startX, y: position.y + y - drag.startY });
+        });
+        this.setWavePositions(positions);
+    }
+
+    handleSourcePointerUp() {
+        const drag = this.sourceDrag;
+        if (drag) {
+            const after = new Map();
+            this.cover.allWavesEver.forEach(wave => {
+                if (drag.startPositions.has(wave.id)) after.set(wave.id, { x: wave.x, y: wave.y });
+            });
+            if ([...after].some(([id, position]) => position.x !== drag.startPositions.get(id).x ||
+                position.y !== drag.startPositions.get(id).y)) {
+                this.cover.history.recordWaveMove('Move wave', drag.startPositions, after, (positions) => this.setWavePositions(positions));
+            }
+        }
+        this.sourceDrag = null;
+    }
+
+    handleKeyDown(event) {
+        if (event.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        if ((event.key === 'Delete' || event.key === 'Backspace') && this.selectedWaveId !== null) {
+            event.preventDefault();
+            this.deleteWaves(this.getSelectedWaveIds());
+        }
+    }
+}
@@ -0,0 +1,1255 @@
+// WaveCover: the interactive wave animation as an embeddable ES module.
+//
+//   const cover = new WaveCover(containerOrCanvas, config);  // or await WaveCover.load(container, 'config.json')
+//   cover.addWave(x, y); cover.setTime(2.5); cover.pause(); cover.play();
+//   const blob = await cover.exportPNG(); cover.destroy();
+//
+// Each instance owns its canvas, state and animation loop, so several can share a page.
+// Instances are EventTargets and dispatch: 'ready', 'play', 'pause', 'seek', 'waveadd',
+// 'sceneload', 'attractstart', 'attractstop' and 'destroy' (details in the dispatching methods).
+// <wave-cover config="config.json" scene="scene.json"> wraps one instance in a custom element.
+
+import { DEFAULT_CONFIG } from './default-config.js';
+import { CONFIG_SCHEMA, validateConfig, mergeConfig, checkConfigValue, showConfigMessages } from './config-schema.js';
+import { getColormapLUT } from './colormaps.js';
+import { getPropagationParams } from './propagation.js';
+import {
+    mulberry32, countLiveSources, computeArrayTransmit, createWave, getInitialWavePlacements, getAttractPlacement,
+    readScene, fitSceneToFrame, transformScenePositions, computeActiveWaves, getWaveRenderFactors, rasterizeField, forEachNoiseBlock,
+    getPrintLayout, fitRect, getFrameSize, SCENE_FORMAT_VERSION, SCENE_EXCLUDED_CONFIG_KEYS
+} from './simulation.js';
+import { createWebGLFieldRenderer } from './webgl-renderer.js';
+import { ConfigPanel } from './config-panel.js';
+import { TimelineEditor } from './timeline.js';
+import { CommandHistory } from './history.js';
+import { WaveStore } from './wave-store.js';
+import { downloadBlob, setPngDpi, blobToDataURL, createZip } from './file-utils.js';
+
+const WAVE_COVER_STYLESHEET = new URL('./wave-cover.css', import.meta.url).href;
+
+// How often (s of globalTime) the animation drops waves that can no longer be seen
+const WAVE_EVICTION_INTERVAL_SECONDS = 1;
+
+// Held pulse trains and attract mode that fall further behind globalTime than this (a backgrounded
+// tab, a long frame) go on from the current time instead of emitting every missed wave at once
+const MAX_CATCH_UP_SECONDS = 0.5;
+
+// Debug controls, added to the container when debugMode.enabled is set
+const DEBUG_CONTROLS_TEMPLATE = `
+    <button data-control="pausePlay">Pause</button>
+    <button data-control="undo" title="Undo (Ctrl+Z)">Undo</button>
+    <button data-control="redo" title="Redo (Ctrl+Shift+Z)">Redo</button>
+    <label>Time: <input type="range" data-control="timeSlider" min="0" value="0" step="0.01"></label>
+    <span data-control="timeValue">0.00s</span>
+    <button data-control="exportPNG">Export PNG</button>
+    <button data-control="exportPrint">Export Print</button>
+    <button data-control="saveScene">Save Scene</button>
+    <button data-control="loadScene">Load Scene</button>
+    <input type="file" data-control="sceneFile" accept=".json,application/json" style="display: none;">
+    <label>From: <input type="number" data-control="animStart" min="0" step="0.1"></label>
+    <label>To: <input type="number" data-control="animEnd" min="0" step="0.1"></label>
+    <label>FPS: <input type="number" data-control="animFps" min="1" max="120" step="1"></label>
+    <select data-control="animFormat">
+        <option value="png-zip">PNG frames (ZIP)</option>
+        <option value="webm">WebM</option>
+    </select>
+    <button data-control="exportAnimation">Export Animation</button>
+    <label>Display:
+        <select data-control="displayMode">
+            <option value="rf">RF</option>
+            <option value="bmode">B-mode</option>
+        </select>
+    </label>
+    <button data-control="configPanel">Parameters</button>
+`;
+
+// Builds an SVG sized in millimetres that embeds the raster and, optionally,
+// trim/spine guides on a separate layer. Converts directly to PDF in Inkscape etc.
+function buildPrintSVG(layout, pngDataURL, showGuides) {
+    const { sheetWidthMm: w, sheetHeightMm: h, bleedMm: bleed } = layout;
+    const guides = [];
+    if (showGuides) {
+        guides.push(`<rect x="${bleed}" y="${bleed}" width="${layout.coverWidthMm}" height="${layout.trimHeightMm}"/>`);
+        if (layout.isWrap) {
+            const spineLeft = bleed + layout.trimWidthMm;
+            const spineRight = spineLeft + layout.spineWidthMm;
+            guides.push(`<line x1="${spineLeft}" y1="0" x2="${spineLeft}" y2="${h}"/>`);
+            guides.push(`<line x1="${spineRight}" y1="0" x2="${spineRight}" y2="${h}"/>`);
+        }
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"
+     width="${w}mm" height="${h}mm" viewBox="0 0 ${w} ${h}">
+  <g id="artwork">
+    <image x="0" y="0" width="${w}" height="${h}" preserveAspectRatio="none" xlink:href="${pngDataURL}"/>
+  </g>
+  <g id="guides" fill="none" stroke="#00ffff" stroke-width="0.1" stroke-dasharray="1 1">
+    ${guides.join('\n    ')}
+  </g>
+</svg>
+`;
+}
+
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Adds the component stylesheet once per document or shadow root
+function ensureStylesheet(container) {
+    const root = container.getRootNode();
+    const parent = root === document ? document.head : root;
+    if (!parent.querySelector(`link[href="${WAVE_COVER_STYLESHEET}"]`)) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = WAVE_COVER_STYLESHEET;
+        parent.appendChild(link);
+    }
+}
+
+export class WaveCover extends EventTarget {
+    // target: a container element (a canvas is created in it) or an existing canvas in a container.
+    // config: partial config merged over DEFAULT_CONFIG after validation.
+    // options.scene: scene object or URL to load instead of config.scene.
+    // options.configSource: name used when reporting config issues.
+    // options.keepUntil: waves visible at any time from 0 to this (s) are kept for setTime(),
+    // defaults to debugMode.timeSliderMax; see evictInvisibleWaves().
+    constructor(target, config = {}, options = {}) {
+        super();
+        if (target instanceof HTMLCanvasElement) {
+            if (!target.parentElement) {
+                // The container holds the debug UI and messages and sizes an "auto" canvas
+                throw new Error("The canvas must be attached to a container element.");
+            }
+            this.canvas = target;
+            this.container = target.parentElement;
+            this.ownsCanvas = false;
+        } else {
+            this.container = target;
+            this.canvas = document.createElement('canvas');
+            this.container.appendChild(this.canvas);
+            this.ownsCanvas = true;
+        }
+        this.ctx = this.canvas.getContext('2d');
+        this.canvas.tabIndex = 0; // Focusable, so keyboard shortcuts go to the cover that was clicked
+        this.container.classList.add('wave-cover');
+        ensureStylesheet(this.container);
+
+        this.waveStore = new WaveStore(); // Source waves that have not been evicted, see allWavesEver
+        this.activeWaves = [];  // Waves currently active and to be rendered
+        this.globalTime = 0;
+        this.lastTimestamp = 0;
+        this.isPaused = false;
+        this.animationFrameId = null;
+        this.waveCounter = 0;   // Sequence number of the next wave, used for IDs and per-wave seeds
+        this.isExportingAnimation = false; // Time, playback, edits and input are locked while it is set
+        this.isExportingFrame = false; // Keeps editor overlays out of exported PNGs
+        this.isDestroyed = false;
+        this.pointerEmitters = new Map(); // Held pointers by pointerId: { x, y, nextEmitTime }
+        this.gestureWavesBefore = null;   // allWavesEver when the first of the held pointers went down
+        this.lastInputTime = 0;           // globalTime of the last user input, for attractMode
+        this.isAttracting = false;
+        this.attractIndex = 0;            // Sequence number of the next attract mode wave
+        this.nextAttractTime = 0;
+        this.nextEvictionTime = 0;        // globalTime of the next evictInvisibleWaves()
+        this.keepUntil = options.keepUntil; // End of the seekable range, see evictInvisibleWaves()
+
+        this.webglRenderer = null;
+        this.webglRendererState = 'uninitialized'; // 'uninitialized' | 'ready' | 'unavailable'
+        this.webglColormapKey = null; // Key of the colormap LUT currently uploaded to the WebGL renderer
+        this.opaqueFieldCanvas = null;
+
+        this.controls = {};       // Debug UI elements by data-control name
+        this.configPanel = null;
+        this.timeline = null;
+        this.history = new CommandHistory(this);
+        this.listeners = [];      // [target, type, handler] registered through listen()
+        this.addedElements = [];  // Elements added to the container, removed by destroy()
+
+        this.messagesContainer = this.addElement('div', 'wave-cover-messages');
+        this.messagesContainer.style.display = 'none';
+
+        const { config: validConfig, issues } = validateConfig(config, DEFAULT_CONFIG);
+        this.config = mergeConfig(JSON.parse(JSON.stringify(DEFAULT_CONFIG)), validConfig);
+        showConfigMessages(this.messagesContainer, options.configSource || 'Config', issues);
+
+        if (typeof this.config.seed !== 'number' || !isFinite(this.config.seed)) {
+            this.config.seed = Math.floor(Math.random() * 4294967296);
+        }
+        this.config.seed = this.config.seed >>> 0;
+        this.sceneRng = mulberry32(this.config.seed);
+        console.log(`Random seed: ${this.config.seed} (set "seed" in config.json to reproduce)`);
+
+        // Transparent parts of the field show the container background
+        this.container.style.backgroundColor = this.config.backgroundColor;
+        this.pixelRatio = 1;      // Canvas pixels per CSS pixel
+        this.frame = { width: 0, height: 0 };             // The composition, in scene units
+        this.compositionFrame = null;                     // Frame the composition was made on, see fitCompositionToFrame()
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 }; // Frame placement in the canvas, see updateFrame()
+        this.setupCanvas();
+        if (this.config.debugMode.enabled) {
+            this.setupDebugControls();
+        }
+
+        this.animationLoop = this.animationLoop.bind(this);
+        // Registered after the timeline editor, which may claim a press to move a source
+        this.listen(this.canvas, 'pointerdown', (event) => this.handlePointerDown(event));
+        this.listen(this.canvas, 'pointermove', (event) => this.handlePointerMove(event));
+        this.listen(this.canvas, 'pointerup', (event) => this.handlePointerUp(event));
+        this.listen(this.canvas, 'pointercancel', (event) => this.handlePointerUp(event));
+        this.listen(this.container, 'keydown', (event) => {
+            if (this.isExportingAnimation) return; // No undo or edits under a running export
+            this.noteUserInput();
+            this.history.handleKeyDown(event);
+            if (this.timeline) this.timeline.handleKeyDown(event);
+        });
+        this.listen(window, 'resize', () => this.handleResize());
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.container);
+        }
+
+        this.ready = this.start(options.scene !== undefined ? options.scene : this.config.scene);
+    }
+
+    // Fetches a config file and creates an instance with it. A missing or unreadable
+    // file is reported on the page and the defaults are used.
+    static async load(target, configUrl = 'config.json', options = {}) {
+        let userConfig = {};
+        let loadError = null;
+        try {
+            userConfig = await fetchJSON(configUrl);
+        } catch (error) {
+            console.warn(`Could not load ${configUrl}, using default configuration.`, error);
+            loadError = error;
+        }
+        const cover = new WaveCover(target, userConfig, { configSource: configUrl, ...options });
+        if (loadError) {
+            cover.showMessages(configUrl, [{ level: 'error', message: `Could not be loaded (${loadError.message}); using the default configuration.` }]);
+        }
+        console.log("Configuration loaded:", cover.config);
+        await cover.ready;
+        return cover;
+    }
+
+    // Loads the initial scene (if any), spawns the non-interactive initial waves and starts the loop
+    async start(sceneSource) {
+        let initialScene = null;
+        if (sceneSource) {
+            try {
+                initialScene = typeof sceneSource === 'string' ? await fetchJSON(sceneSource) : sceneSource;
+            } catch (error) {
+                console.warn(`Could not load scene ${sceneSource}, starting with an empty scene.`, error);
+            }
+        }
+        if (this.isDestroyed) return;
+
+        if (initialScene) {
+            try {
+                this.applyScene(initialScene);
+                this.refreshControls();
+            } catch (error) {
+                console.warn("Invalid scene, starting with an empty scene.", error);
+                initialScene = null;
+            }
+        }
+
+        if (!this.config.interaction.interactive && !initialScene) {
+            for (const { x, y, startTime } of getInitialWavePlacements(this.config, this.sceneRng, this.frame.width, this.frame.height)) {
+                this.addWave(x, y, startTime);
+            }
+        }
+
+        this.lastTimestamp = performance.now();
+        // If starting paused, do an initial calculation and draw
+        if (this.isPaused) {
+            this.updateAndFilterWaves();
+            this.draw();
+        } else { // If not starting paused, start the animation loop
+            this.animationFrameId = requestAnimationFrame(this.animationLoop);
+        }
+        this.dispatchEvent(new CustomEvent('ready'));
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push([target, type, handler]);
+    }
+
+    addElement(tagName, className) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        this.container.appendChild(element);
+        this.addedElements.push(element);
+        return element;
+    }
+
+    showMessages(title, issues) {
+        showConfigMessages(this.messagesContainer, title, issues);
+    }
+
+    // Sizes the canvas in CSS pixels (cssWidth x cssHeight) with pixelRatio canvas pixels per
+    // CSS pixel, then places the frame in it. Returns whether anything changed.
+    setupCanvas() {
+        // Window dimensions, the container size ("auto") or a fixed number of CSS pixels
+        const resolveSize = (value, windowSize, containerSize) => {
+            if (value === 'innerWidth' || value === 'innerHeight') return windowSize;
+            if (value === 'auto') return Math.max(1, Math.round(containerSize));
+            return Math.round(value);
+        };
+        const pixelRatioSetting = this.config.framing.pixelRatio;
+        const pixelRatio = pixelRatioSetting === 'auto' ? (window.devicePixelRatio || 1) : pixelRatioSetting;
+        const cssWidth = resolveSize(this.config.canvasWidth, window.innerWidth, this.container.clientWidth);
+        const cssHeight = resolveSize(this.config.canvasHeight, window.innerHeight, this.container.clientHeight);
+        const width = Math.max(1, Math.round(cssWidth * pixelRatio));
+        const height = Math.max(1, Math.round(cssHeight * pixelRatio));
+        const previousFrame = this.frame;
+        const frameChanged = this.updateFrame(cssWidth, cssHeight, width, height);
+        if (frameChanged) this.fitCompositionToFrame(previousFrame);
+        if (this.canvas.width === width && this.canvas.height === height && this.pixelRatio === pixelRatio) {
+            return frameChanged;
+        }
+
+        this.pixelRatio = pixelRatio;
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.fillStyle = this.config.backgroundColor;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        return true;
+    }
+
+    // Sets the frame (scene units) from the framing config and the view that maps it into the
+    // canvas: canvasX = sceneX * view.scale + view.offsetX. A locked frame is letterboxed.
+    updateFrame(cssWidth = this.canvas.width / this.pixelRatio, cssHeight = this.canvas.height / this.pixelRatio,
+        width = this.canvas.width, height = this.canvas.height) {
+        const frame = getFrameSize(this.config, cssWidth, cssHeight);
+        const view = fitRect(frame.width, frame.height, width, height);
+        const changed = ['width', 'height'].some(key => frame[key] !== this.frame[key]) ||
+            ['scale', 'offsetX', 'offsetY'].some(key => view[key] !== this.view[key]);
+        this.frame = frame;
+        this.view = view;
+        return changed;
+    }
+
+    // Keeps the composition whole when the frame changes size, as with a resize while the aspect
+    // ratio follows the canvas: waves, reflectors and held pointers are fitted into the new frame
+    // like a loaded scene (see fitSceneToFrame()). The fit is always taken from compositionFrame,
+    // so resizing back restores the original positions. The positions recorded in the undo
+    // history are moved along.
+    fitCompositionToFrame(previousFrame) {
+        const composition = this.compositionFrame;
+        if (!composition) {
+            this.compositionFrame = { ...this.frame };
+            return;
+        }
+        if (previousFrame.width === this.frame.width && previousFrame.height === this.frame.height) return;
+        const from = fitRect(composition.width, composition.height, previousFrame.width, previousFrame.height);
+        const to = fitRect(composition.width, composition.height, this.frame.width, this.frame.height);
+        const scale = to.scale / from.scale;
+        const transform = { scale, offsetX: to.offsetX - from.offsetX * scale, offsetY: to.offsetY - from.offsetY * scale };
+        const mapPoint = ({ x, y }) => ({ x: x * transform.scale + transform.offsetX, y: y * transform.scale + transform.offsetY });
+        transformScenePositions({ waves: this.allWavesEver, config: this.config }, transform);
+        this.pointerEmitters.forEach(emitter => Object.assign(emitter, mapPoint(emitter)));
+        this.history.mapPositions(mapPoint, new Set(this.allWavesEver));
+        this.waveStore.invalidate();
+    }
+
+    // The view for rendering the frame to the screen, with gridResolution taken as CSS pixels
+    getScreenView() {
+        const gridRes = Math.max(1, Math.round(this.config.waveVisuals.gridResolution * this.pixelRatio));
+        return { ...this.view, gridRes };
+    }
+
+    // Maps targetCtx from scene units onto the canvas; returns the size of a CSS pixel in scene
+    // units, for line widths and marker sizes that should not scale with the frame
+    applySceneTransform(targetCtx) {
+        const { scale, offsetX, offsetY } = this.view;
+        targetCtx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+        return this.pixelRatio / scale;
+    }
+
+    isInFrame(x, y) {
+        return x >= 0 && y >= 0 && x <= this.frame.width && y <= this.frame.height;
+    }
+
+    handleResize() {
+        // When resizing, if paused, re-filter and redraw the current state
+        if (this.setupCanvas() && this.isPaused) {
+            this.updateAndFilterWaves();
+            this.draw();
+        }
+    }
+
+    setupDebugControls() {
+        const controlsContainer = this.addElement('div', 'wave-cover-controls');
+        controlsContainer.innerHTML = DEBUG_CONTROLS_TEMPLATE;
+        controlsContainer.querySelectorAll('[data-control]').forEach(element => {
+            this.controls[element.dataset.control] = element;
+        });
+        this.controls.container = controlsContainer;
+        const controls = this.controls;
+
+        controls.timeSlider.max = this.config.debugMode.timeSliderMax || 60;
+        controls.timeSlider.value = this.globalTime; // Initialize slider position
+        controls.timeValue.textContent = `${this.globalTime.toFixed(2)}s`;
+        controls.animStart.value = this.config.animationExport.startTime;
+        controls.animEnd.value = this.config.animationExport.endTime;
+        controls.animFps.value = this.config.animationExport.fps;
+        controls.animFormat.value = this.config.animationExport.format;
+        controls.displayMode.value = this.config.waveVisuals.displayMode;
+
+        const panelContainer = this.addElement('div', 'wave-cover-panel');
+        panelContainer.style.display = 'none';
+        this.configPanel = new ConfigPanel(this, panelContainer);
+        const timelineCanvas = this.addElement('canvas', 'wave-cover-timeline');
+        timelineCanvas.height = 48;
+        timelineCanvas.title = "Drag a marker to retime its wave, click or drag elsewhere to seek. While paused: drag sources on the canvas to move them, click to add a wave at the current time, Delete removes the selected wave.";
+        this.timeline = new TimelineEditor(this, timelineCanvas);
+        this.history.setButtons(controls.undo, controls.redo);
+
+        controls.pausePlay.addEventListener('click', () => this.togglePause());
+        controls.timeSlider.addEventListener('input', () => this.setTime(parseFloat(controls.timeSlider.value)));
+        controls.exportPNG.addEventListener('click', () => this.downloadPNG());
+        controls.exportPrint.addEventListener('click', () => this.exportPrint());
+        controls.saveScene.addEventListener('click', () => this.exportScene());
+        controls.loadScene.addEventListener('click', () => controls.sceneFile.click());
+        controls.sceneFile.addEventListener('change', (event) => this.handleSceneFileInput(event));
+        controls.exportAnimation.addEventListener('click', () => this.exportAnimation());
+        controls.displayMode.addEventListener('change', () => this.setConfigParameter('waveVisuals', 'displayMode', controls.displayMode.value));
+        controls.configPanel.addEventListener('click', () => this.configPanel.toggle());
+
+        if (this.config.debugMode.startPaused) {
+            this.isPaused = true;
+            controls.pausePlay.textContent = "Play";
+        }
+    }
+
+    // Brings the debug UI in line with config and time after they were replaced
+    refreshControls() {
+        if (this.controls.timeSlider) {
+            this.controls.timeSlider.value = this.globalTime;
+            this.controls.displayMode.value = this.config.waveVisuals.displayMode;
+        }
+        if (this.configPanel) this.configPanel.refresh();
+    }
+
+    // Position of a pointer event in scene units
+    getScenePointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const canvasX = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+        const canvasY = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+        return { x: (canvasX - this.view.offsetX) / this.view.scale, y: (canvasY - this.view.offsetY) / this.view.scale };
+    }
+
+    // A press emits a pulse right away. While it is held, more pulses follow at
+    // pulseRepetitionFrequency (see updatePointerEmitters), from the pointer's current
+    // position if dragMovesSource is set. Each touch point is its own emitter.
+    handlePointerDown(event) {
+        if (this.isExportingAnimation) return;
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        if (this.timeline && this.timeline.isDraggingSource()) return; // The press picked a source
+        if (!this.config.interaction.interactive) return;
+        if (!event.isPrimary && !this.config.interaction.multiTouch) return;
+        this.noteUserInput();
+        const { x, y } = this.getScenePointerPosition(event);
+        if (!this.isInFrame(x, y)) return; // A press on the letterbox bars
+        if (event.shiftKey) {
+            this.addScatterer(x, y);
+            return;
+        }
+
+        this.canvas.setPointerCapture(event.pointerId);
+        if (this.pointerEmitters.size === 0) {
+            this.gestureWavesBefore = this.allWavesEver.slice();
+        }
+        const prf = this.config.interaction.pulseRepetitionFrequency;
+        this.pointerEmitters.set(event.pointerId, {
+            x: x,
+            y: y,
+            nextEmitTime: prf > 0 ? this.globalTime + 1 / prf : Infinity
+        });
+        this.emitPulse(x, y, this.globalTime);
+    }
+
+    handlePointerMove(event) {
+        const emitter = this.pointerEmitters.get(event.pointerId);
+        if (!emitter || !this.config.interaction.dragMovesSource) return;
+        const { x, y } = this.getScenePointerPosition(event);
+        emitter.x = x;
+        emitter.y = y;
+    }
+
+    // All waves emitted while pointers were held, from the first press to the last release, are one undo step
+    handlePointerUp(event) {
+        if (!this.pointerEmitters.delete(event.pointerId) || this.pointerEmitters.size > 0) return;
+        const label = this.config.transducer.enabled ? 'Add array transmit' : 'Add wave';
+        this.history.recordWaveListSince(label, this.gestureWavesBefore);
+        this.gestureWavesBefore = null;
+    }
+
+    // Emits the pulses of held pointers that are due by globalTime, at their exact train times
+    updatePointerEmitters() {
+        const prf = this.config.interaction.pulseRepetitionFrequency;
+        if (!(prf > 0)) return;
+        this.pointerEmitters.forEach(emitter => {
+            emitter.nextEmitTime = Math.max(emitter.nextEmitTime, this.globalTime - MAX_CATCH_UP_SECONDS);
+            while (emitter.nextEmitTime <= this.globalTime) {
+                this.emitPulse(emitter.x, emitter.y, emitter.nextEmitTime);
+                emitter.nextEmitTime += 1 / prf;
+            }
+        });
+    }
+
+    // Input ends attract mode; it starts again after attractMode.idleSeconds without input
+    noteUserInput() {
+        this.lastInputTime = this.globalTime;
+        if (this.isAttracting) {
+            this.isAttracting = false;
+            this.dispatchEvent(new CustomEvent('attractstop', { detail: { time: this.globalTime } }));
+        }
+    }
+
+    // Spawns the attract mode waves that are due by globalTime. Dispatches 'attractstart' when
+    // autoplay takes over and 'attractstop' when input ends it.
+    updateAttractMode() {
+        const attract = this.config.attractMode;
+        if (!attract.enabled || this.pointerEmitters.size > 0) {
+            if (this.isAttracting) this.noteUserInput();
+            return;
+        }
+        if (!this.isAttracting) {
+            if (this.globalTime - this.lastInputTime < attract.idleSeconds) return;
+            this.isAttracting = true;
+            this.nextAttractTime = this.globalTime;
+            this.dispatchEvent(new CustomEvent('attractstart', { detail: { time: this.globalTime } }));
+        }
+        this.nextAttractTime = Math.max(this.nextAttractTime, this.globalTime - MAX_CATCH_UP_SECONDS);
+        while (this.nextAttractTime <= this.globalTime) {
+            const { x, y, waitSeconds } = getAttractPlacement(attract, this.attractIndex++, this.config.seed, this.frame.width, this.frame.height);
+            this.emitPulse(x, y, this.nextAttractTime, true);
+            this.nextAttractTime += waitSeconds;
+        }
+    }
+
+    // Fires a wave or array transmit from user input or attract mode. While playing, no more than
+    // maxWaves sources are alive at once; paused presses are edits and always add. Attract mode
+    // waves are marked and do not count against user input, so a visitor is never locked out.
+    emitPulse(x, y, startTime, isAutoplay = false) {
+        const countedWaves = isAutoplay ? this.allWavesEver : this.allWavesEver.filter(wave => !wave.autoplay);
+        if (!this.isPaused && countLiveSources(countedWaves, this.globalTime, this.config) >= this.config.interaction.maxWaves) {
+            return;
+        }
+        const waves = this.config.transducer.enabled ? this.addArrayTransmit(x, y, startTime) : [this.addWave(x, y, startTime)];
+        if (isAutoplay) {
+            waves.forEach(wave => { wave.autoplay = true; });
+        }
+    }
+
+    // Adds a wave with its source at (x, y) (scene units, see updateFrame()) that starts at startTime.
+    // Dispatches 'waveadd' with the new wave(s) in detail.waves.
+    addWave(x, y, startTime = this.globalTime) {
+        const wave = this.createWaveEntry(x, y, startTime);
+        this.waveStore.add(wave);
+        this.afterWavesAdded([wave]);
+        return wave;
+    }
+
+    // Fires an array transmit as one group of element waves, rendered by superposition
+    addArrayTransmit(x, y, startTime = this.globalTime) {
+        const groupId = `g${this.waveCounter.toString(36)}`;
+        const waves = computeArrayTransmit(x, y, this.config.transducer, this.config.waveDynamics.waveSpeed).map(element =>
+            this.createWaveEntry(element.x, element.y, startTime + element.delay, {
+                amplitude: element.weight,
+                groupId: groupId
+            }));
+        this.waveStore.add(...waves);
+        this.afterWavesAdded(waves);
+        return waves;
+    }
+
+    afterWavesAdded(waves) {
+        // If paused, immediately update to show the new wave
+        if (this.isPaused) {
+            this.updateAndFilterWaves();
+            this.draw();
+        }
+        this.dispatchEvent(new CustomEvent('waveadd', { detail: { waves } }));
+    }
+
+    createWaveEntry(x, y, startTime, extra = {}) {
+        return createWave(this.waveCounter++, x, y, startTime, this.config, extra);
+    }
+
+    // Every source wave added and not yet evicted (see evictInvisibleWaves()), sorted by
+    // creationTime. Read-only: assigning replaces the list, and waves changed in place need
+    // waveStore.invalidate().
+    get allWavesEver() {
+        return this.waveStore.getAll();
+    }
+
+    set allWavesEver(waves) {
+        this.waveStore.setWaves(waves);
+    }
+
+    // Drops the waves that cannot be visible at any time the cover can still show: now and later,
+    // or a seek with setTime() into 0..keepUntil (the time slider's range unless options.keepUntil
+    // says otherwise). Judged by the current settings, see WaveStore for what a later change cannot undo.
+    evictInvisibleWaves() {
+        const keepUntil = this.keepUntil !== undefined ? this.keepUntil : (this.config.debugMode.timeSliderMax || 60);
+        this.waveStore.setScene(this.config, this.frame.width, this.frame.height);
+        this.waveStore.evict(this.globalTime, keepUntil);
+    }
+
+    addScatterer(x, y) {
+        const reflectors = this.config.reflectors;
+        const before = reflectors.scatterers;
+        const after = [...before, { x: x, y: y }];
+        reflectors.scatterers = after;
+        this.history.recordScatterersChange('Add scatterer', before, after);
+        console.log(`Scatterer added at (${Math.round(x)}, ${Math.round(y)}).`);
+        if (this.isPaused) {
+            this.updateAndFilterWaves();
+            this.draw();
+        }
+    }
+
+    // Sets config[section][key] and shows the result right away. A value the config schema
+    // rejects is reported and the controls are put back.
+    setConfigParameter(section, key, value) {
+        if (this.isExportingAnimation) {
+            this.refreshControls(); // Puts the control that was changed back
+            return;
+        }
+        const previous = this.config[section][key];
+        const rule = CONFIG_SCHEMA[section] && CONFIG_SCHEMA[section].keys[key];
+        const problem = rule ? checkConfigValue(value, rule) : null;
+        if (problem) {
+            this.showMessages("Config panel", [{
+                level: 'error',
+                message: `${section}.${key}: ${problem}, got ${JSON.stringify(value)}; keeping ${JSON.stringify(previous)}.`
+            }]);
+            this.refreshControls();
+            return;
+        }
+        this.config[section][key] = value;
+        if (value !== previous) this.history.recordConfigChange(section, key, previous, value);
+
+        // fc and sig are stored per wave; retune the waves that were created with the old setting
+        if (section === 'waveDynamics' && key === 'carrierFrequency') {
+            this.allWavesEver.forEach(wave => {
+                if (wave.fc === previous / 100.0) wave.fc = value / 100.0;
+            });
+        } else if (section === 'waveDynamics' && key === 'gaussianWidth') {
+            this.allWavesEver.forEach(wave => {
+                if (wave.sig === previous) wave.sig = value;
+            });
+        }
+        this.waveStore.invalidate();
+        if (section === 'framing' || section === 'printExport') {
+            this.setupCanvas(); // The frame may have another size or aspect ratio now
+        }
+
+        this.refreshControls();
+        if (this.isPaused) {
+            this.updateAndFilterWaves();
+            this.draw();
+        }
+    }
+
+
+    updateAndFilterWaves() {
+        this.waveStore.setScene(this.config, this.frame.width, this.frame.height);
+        this.activeWaves = computeActiveWaves(this.waveStore.query(this.globalTime), this.globalTime, this.config);
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.config.backgroundColor;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Update time display and keep the slider in sync when playing
+        const { timeValue, timeSlider } = this.controls;
+        if (timeValue) {
+            timeValue.textContent = `${this.globalTime.toFixed(2)}s`;
+        }
+        if (timeSlider && !this.isPaused && this.globalTime <= parseFloat(timeSlider.max)) {
+            timeSlider.value = this.globalTime;
+        }
+
+        this.renderFrame(ctx, this.canvas.width, this.canvas.height, this.getScreenView());
+        this.drawLetterbox();
+
+        if (this.config.reflectors.enabled && this.config.reflectors.showMarkers) {
+            this.drawReflectorMarkers();
+        }
+        if (this.config.framing.showGuides && !this.isExportingFrame) {
+            this.drawFrameGuides();
+        }
+        if (this.timeline) {
+            if (this.isPaused && !this.isExportingFrame) {
+                this.timeline.drawSourceMarkers(ctx);
+            }
+            this.timeline.draw();
+        }
+    }
+
+    // Covers the canvas outside a locked frame
+    drawLetterbox() {
+        const { scale, offsetX, offsetY } = this.view;
+        if (offsetX <= 0 && offsetY <= 0) return;
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const right = offsetX + this.frame.width * scale;
+        const bottom = offsetY + this.frame.height * scale;
+        ctx.fillStyle = this.config.framing.letterboxColor;
+        ctx.fillRect(0, 0, width, offsetY);
+        ctx.fillRect(0, bottom, width, height - bottom);
+        ctx.fillRect(0, offsetY, offsetX, bottom - offsetY);
+        ctx.fillRect(right, offsetY, width - right, bottom - offsetY);
+    }
+
+    // Trim (and spine) lines of the printExport layout, like the guides of the print SVG.
+    // Only a "print" frame is the sheet; the frame edge is then the bleed edge.
+    drawFrameGuides() {
+        if (this.config.framing.aspectRatio !== 'print') return;
+        const layout = getPrintLayout(this.config.printExport);
+        const unitsPerMm = this.frame.width / layout.sheetWidthMm;
+        const bleed = layout.bleedMm * unitsPerMm;
+        const ctx = this.ctx;
+        ctx.save();
+        const cssPixel = this.applySceneTransform(ctx);
+        ctx.strokeStyle = '#00ffff';
+        ctx.lineWidth = cssPixel;
+        ctx.setLineDash([4 * cssPixel, 4 * cssPixel]);
+        ctx.strokeRect(bleed, bleed, layout.coverWidthMm * unitsPerMm, layout.trimHeightMm * unitsPerMm);
+        if (layout.isWrap) {
+            const spineLeft = bleed + layout.trimWidthMm * unitsPerMm;
+            const spineRight = spineLeft + layout.spineWidthMm * unitsPerMm;
+            ctx.beginPath();
+            ctx.moveTo(spineLeft, 0);
+            ctx.lineTo(spineLeft, this.frame.height);
+            ctx.moveTo(spineRight, 0);
+            ctx.lineTo(spineRight, this.frame.height);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    drawReflectorMarkers() {
+        const ctx = this.ctx;
+        ctx.save();
+        const cssPixel = this.applySceneTransform(ctx);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = cssPixel;
+        for (const scatterer of this.config.reflectors.scatterers) {
+            ctx.beginPath();
+            ctx.arc(scatterer.x, scatterer.y, 4 * cssPixel, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+        for (const segment of this.config.reflectors.segments) {
+            ctx.beginPath();
+            ctx.moveTo(segment.x1, segment.y1);
+            ctx.lineTo(segment.x2, segment.y2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+
+    // Returns the WebGL renderer if the config allows it and it could be created, else null
+    getWebGLRenderer() {
+        if (this.config.waveVisuals.renderer === 'canvas2d') return null;
+        if (this.webglRendererState === 'uninitialized') {
+            try {
+                this.webglRenderer = createWebGLFieldRenderer();
+            } catch (error) {
+                console.warn("WebGL renderer failed to initialize.", error);
+                this.webglRenderer = null;
+            }
+            this.webglRendererState = this.webglRenderer ? 'ready' : 'unavailable';
+            console.log(this.webglRenderer ? "Rendering wave field with WebGL2." : "WebGL2 unavailable, rendering wave field with Canvas2D.");
+        }
+        if (this.webglRenderer) {
+            const colormapLUT = getColormapLUT(this.config.waveVisuals);
+            if (colormapLUT.key !== this.webglColormapKey) {
+                this.webglRenderer.setColormapLUT(colormapLUT.lut);
+                this.webglColormapKey = colormapLUT.key;
+            }
+        }
+        return this.webglRenderer;
+    }
+
+    // Renders the wave field of the current activeWaves into targetCtx.
+    // The view maps output pixels to scene coordinates: sceneX = (outputX - offsetX) / scale.
+    // On screen it is this.view (the frame letterboxed at the pixel ratio); the exports use
+    // it to re-render the frame at their own resolution.
+    renderFrame(targetCtx, width, height, view) {
+        const visuals = this.config.waveVisuals;
+        const waveFactors = this.activeWaves.map(wave => getWaveRenderFactors(wave, this.config.disintegration));
+        const glRenderer = this.getWebGLRenderer();
+        const propagation = getPropagationParams(this.config.waveDynamics);
+        const fieldOptions = {
+            edgeFactor: this.config.waveDynamics.waveRemovalEdgeFactor,
+            maxAmplitude: visuals.maxAmplitude,
+            propagation: propagation,
+            compression: {
+                mode: visuals.amplitudeCompression,
+                gamma: visuals.compressionGamma,
+                logFactor: visuals.compressionLogFactor
+            },
+            bmode: visuals.displayMode === 'bmode' ? {
+                dynamicRangeDb: visuals.bmodeDynamicRangeDb,
+                gainDb: visuals.bmodeGainDb
+            } : null
+        };
+
+        if (glRenderer && glRenderer.render(width, height, view, this.activeWaves, waveFactors, fieldOptions)) {
+            // Same result as putImageData() below: the field replaces the target pixels
+            targetCtx.clearRect(0, 0, width, height);
+            targetCtx.drawImage(glRenderer.canvas, 0, 0);
+        } else {
+            this.renderFieldCanvas2D(targetCtx, width, height, view, waveFactors);
+        }
+
+        this.drawDisintegrationNoise(targetCtx, view);
+    }
+
+    // CPU evaluation of the wave field, also the fallback for the WebGL renderer
+    renderFieldCanvas2D(targetCtx, width, height, view, waveFactors) {
+        const imageData = targetCtx.createImageData(width, height);
+        rasterizeField(imageData.data, width, height, view, this.activeWaves, waveFactors, this.config);
+        targetCtx.putImageData(imageData, 0, 0);
+    }
+
+    // Draws disintegrating wave noise on top of the field, in scene coordinates
+    drawDisintegrationNoise(targetCtx, view) {
+        targetCtx.save();
+        targetCtx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
+        forEachNoiseBlock(this.activeWaves, this.config, this.frame.width, this.frame.height, (x, y, size, r, g, b, alpha) => {
+            targetCtx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+            targetCtx.fillRect(x, y, size, size);
+        });
+        targetCtx.restore();
+    }
+
+    animationLoop(timestamp) {
+        if (this.isPaused) {
+            return;
+        }
+
+        const actualDeltaTime = (timestamp - (this.lastTimestamp || timestamp)) / 1000;
+        this.lastTimestamp = timestamp;
+        this.globalTime += actualDeltaTime;
+
+        this.updatePointerEmitters();
+        this.updateAttractMode();
+        if (this.globalTime >= this.nextEvictionTime) {
+            this.evictInvisibleWaves();
+            this.nextEvictionTime = this.globalTime + WAVE_EVICTION_INTERVAL_SECONDS;
+        }
+        this.updateAndFilterWaves();
+        this.draw();
+
+        this.animationFrameId = requestAnimationFrame(this.animationLoop);
+    }
+
+    play() {
+        if (!this.isPaused || this.isDestroyed || this.isExportingAnimation) return;
+        this.isPaused = false;
+        if (this.controls.pausePlay) this.controls.pausePlay.textContent = "Pause";
+        this.lastTimestamp = performance.now();
+        this.animationFrameId = requestAnimationFrame(this.animationLoop);
+        this.dispatchEvent(new CustomEvent('play', { detail: { time: this.globalTime } }));
+    }
+
+    pause() {
+        if (this.isPaused || this.isExportingAnimation) return;
+        this.isPaused = true;
+        if (this.controls.pausePlay) this.controls.pausePlay.textContent = "Play";
+        cancelAnimationFrame(this.animationFrameId);
+        // Ensure current state is drawn based on current globalTime
+        this.updateAndFilterWaves();
+        this.draw();
+        this.dispatchEvent(new CustomEvent('pause', { detail: { time: this.globalTime } }));
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.play();
+        } else {
+            this.pause();
+        }
+    }
+
+    // Jumps to a time (s) and redraws, whether playing or paused. Dispatches 'seek'. Waves are
+    // kept for times up to keepUntil; seeking back further shows only those that have not been
+    // evicted. Ignored while an animation export owns globalTime.
+    setTime(time) {
+        if (this.isExportingAnimation) return;
+        this.globalTime = Math.max(0, time);
+        const prf = this.config.interaction.pulseRepetitionFrequency;
+        this.pointerEmitters.forEach(emitter => { // Held pulse trains continue from the new time
+            emitter.nextEmitTime = prf > 0 ? this.globalTime + 1 / prf : Infinity;
+        });
+        this.noteUserInput(); // Seeking is input too, and keeps attract timing consistent with the new time
+        this.nextEvictionTime = this.globalTime; // After seeking back, evict on the next frame rather than at the old schedule
+        if (this.controls.timeSlider) this.controls.timeSlider.value = this.globalTime;
+        // timeValue is updated in draw()
+        this.updateAndFilterWaves();
+        this.draw();
+        this.dispatchEvent(new CustomEvent('seek', { detail: { time: this.globalTime } }));
+    }
+
+    // The current frame as it appears on screen, without editor overlays, as a PNG blob
+    exportPNG() {
+        this.isExportingFrame = true;
+        this.updateAndFilterWaves();
+        this.draw();
+        const pngPromise = new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'));
+        this.isExportingFrame = false;
+        this.draw();
+        return pngPromise;
+    }
+
+    async downloadPNG() {
+        downloadBlob(await this.exportPNG(), `wave_cover_time_${this.globalTime.toFixed(2)}.png`);
+        console.log(`Canvas exported as PNG for time: ${this.globalTime.toFixed(2)}s`);
+    }
+
+    // Renders activeWaves into targetCanvas over an opaque background. On screen the
+    // transparent parts of the field show the page background; exports need it baked in.
+    renderOpaqueFrame(targetCanvas, view) {
+        const { width, height } = targetCanvas;
+        if (!this.opaqueFieldCanvas) {
+            this.opaqueFieldCanvas = document.createElement('canvas');
+        }
+        if (this.opaqueFieldCanvas.width !== width || this.opaqueFieldCanvas.height !== height) {
+            this.opaqueFieldCanvas.width = width;
+            this.opaqueFieldCanvas.height = height;
+        }
+        const fieldCtx = this.opaqueFieldCanvas.getContext('2d');
+        fieldCtx.clearRect(0, 0, width, height);
+        this.renderFrame(fieldCtx, width, height, view);
+
+        const targetCtx = targetCanvas.getContext('2d');
+        targetCtx.fillStyle = this.config.backgroundColor;
+        targetCtx.fillRect(0, 0, width, height);
+        targetCtx.drawImage(this.opaqueFieldCanvas, 0, 0);
+    }
+
+    // Re-renders the current globalTime state off-screen at print resolution.
+    // The frame is scaled uniformly to cover the whole sheet (bleed included) and centered,
+    // so the field is the same one shown in the preview, only sampled finer. A "print" frame
+    // is the sheet and fits exactly.
+    async exportPrint() {
+        if (this.isExportingAnimation) return;
+        const printConfig = this.config.printExport;
+        const layout = getPrintLayout(printConfig);
+        console.log(`Rendering print export: ${layout.widthPx}x${layout.heightPx}px ` +
+            `(${layout.sheetWidthMm}x${layout.sheetHeightMm}mm at ${printConfig.dpi} DPI)...`);
+
+        this.updateAndFilterWaves();
+
+        const view = {
+            ...fitRect(this.frame.width, this.frame.height, layout.widthPx, layout.heightPx, 'cover'),
+            gridRes: Math.max(1, Math.round(printConfig.gridResolution))
+        };
+
+        const printCanvas = document.createElement('canvas');
+        printCanvas.width = layout.widthPx;
+        printCanvas.height = layout.heightPx;
+        this.renderOpaqueFrame(printCanvas, view);
+
+        const rawPng = await new Promise(resolve => printCanvas.toBlob(resolve, 'image/png'));
+        if (!rawPng) {
+            console.error("Print export failed: canvas too large for this browser.");
+            return;
+        }
+        const pngBlob = await setPngDpi(rawPng, printConfig.dpi);
+        const baseName = `wave_cover_print_${printConfig.layout}_time_${this.globalTime.toFixed(2)}`;
+        downloadBlob(pngBlob, `${baseName}.png`);
+
+        const svg = buildPrintSVG(layout, await blobToDataURL(pngBlob), printConfig.showGuides);
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}.svg`);
+
+        console.log(`Print export done for time: ${this.globalTime.toFixed(2)}s`);
+    }
+
+    getAnimationSettings() {
+        const settings = { ...this.config.animationExport };
+        const { animStart, animEnd, animFps, animFormat } = this.controls;
+        if (animStart) {
+            settings.startTime = parseFloat(animStart.value);
+            settings.endTime = parseFloat(animEnd.value);
+            settings.fps = parseFloat(animFps.value);
+            settings.format = animFormat.value;
+        }
+        return settings;
+    }
+
+    // Renders [startTime, endTime] at a fixed fps by stepping globalTime, off the
+    // real-time animationLoop, so every frame is the same one the slider would show.
+    // "png-zip" is frame-exact; "webm" goes through MediaRecorder, which timestamps
+    // frames by wall clock, so frames are paced to real time while recording.
+    async exportAnimation() {
+        if (this.isExportingAnimation) return;
+        const { startTime, endTime, fps, format, videoBitsPerSecond } = this.getAnimationSettings();
+        if (!(fps > 0) || !(endTime > startTime) || !(startTime >= 0)) {
+            console.warn(`Invalid animation range: ${startTime}s to ${endTime}s at ${fps} fps.`);
+            return;
+        }
+        const frameCount = Math.floor((endTime - startTime) * fps) + 1;
+
+        // Take over from the live loop and restore its state afterwards
+        this.isExportingAnimation = true;
+        const savedTime = this.globalTime;
+        const wasRunning = !this.isPaused;
+        cancelAnimationFrame(this.animationFrameId);
+        const exportButton = this.controls.exportAnimation;
+        const buttonLabel = exportButton ? exportButton.textContent : '';
+        const reportProgress = (frame) => {
+            if (exportButton) {
+                exportButton.textContent = `Rendering ${frame}/${frameCount}`;
+            }
+        };
+
+        // The frame alone, at the resolution it has on screen
+        const view = { ...this.getScreenView(), offsetX: 0, offsetY: 0 };
+        const frameCanvas = document.createElement('canvas');
+        frameCanvas.width = Math.max(1, Math.round(this.frame.width * view.scale));
+        frameCanvas.height = Math.max(1, Math.round(this.frame.height * view.scale));
+        const renderAt = (frame) => {
+            this.globalTime = startTime + frame / fps;
+            this.updateAndFilterWaves();
+            this.renderOpaqueFrame(frameCanvas, view);
+        };
+        const baseName = `wave_cover_anim_${startTime.toFixed(2)}-${endTime.toFixed(2)}s_${fps}fps`;
+
+        try {
+            if (format === 'webm') {
+                if (typeof MediaRecorder === 'undefined' || !frameCanvas.captureStream) {
+                    throw new Error("MediaRecorder canvas capture is not supported in this browser.");
+                }
+                const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+                    .find(type => MediaRecorder.isTypeSupported(type));
+                const stream = frameCanvas.captureStream(0); // Frames are pushed manually with requestFrame()
+                const track = stream.getVideoTracks()[0];
+                const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+                const chunks = [];
+                recorder.ondataavailable = (event) => {
+                    if (event.data.size > 0) chunks.push(event.data);
+                };
+                const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+                recorder.start();
+                const frameDurationMs = 1000 / fps;
+                for (let frame = 0; frame < frameCount && !this.isDestroyed; frame++) {
+                    const frameStart = performance.now();
+                    renderAt(frame);
+                    track.requestFrame();
+                    reportProgress(frame + 1);
+                    const remaining = frameDurationMs - (performance.now() - frameStart);
+                    await new Promise(resolve => setTimeout(resolve, Math.max(0, remaining)));
+                }
+                recorder.stop();
+                await stopped;
+                track.stop();
+                if (this.isDestroyed) return; // Destroyed mid-export, nothing to download
+                downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${baseName}.webm`);
+            } else {
+                const files = [];
+                const digits = String(frameCount - 1).length;
+                for (let frame = 0; frame < frameCount; frame++) {
+                    if (this.isDestroyed) return; // Destroyed mid-export, nothing to download
+                    renderAt(frame);
+                    const png = await new Promise(resolve => frameCanvas.toBlob(resolve, 'image/png'));
+                    files.push({
+                        name: `frame_${String(frame).padStart(Math.max(5, digits), '0')}.png`,
+                        data: new Uint8Array(await png.arrayBuffer())
+                    });
+                    reportProgress(frame + 1);
+                }
+                downloadBlob(createZip(files), `${baseName}.zip`);
+            }
+            console.log(`Animation exported: ${frameCount} frames (${format}) from ${startTime}s to ${endTime}s.`);
+        } catch (error) {
+            console.error("Animation export failed.", error);
+        } finally {
+            this.isExportingAnimation = false;
+            this.globalTime = savedTime;
+            if (!this.isDestroyed) {
+                if (exportButton) {
+                    exportButton.textContent = buttonLabel;
+                }
+                if (this.controls.timeSlider) this.controls.timeSlider.value = this.globalTime; // In case it was dragged meanwhile
+                this.updateAndFilterWaves();
+                this.draw();
+                if (wasRunning) {
+                    this.lastTimestamp = performance.now();
+                    this.animationFrameId = requestAnimationFrame(this.animationLoop);
+                }
+            }
+        }
+    }
+
+    serializeScene() {
+        const configSnapshot = JSON.parse(JSON.stringify(this.config));
+        for (const key of SCENE_EXCLUDED_CONFIG_KEYS) {
+            delete configSnapshot[key];
+        }
+
+        return {
+            version: SCENE_FORMAT_VERSION,
+            seed: this.config.seed,
+            time: this.globalTime,
+            frame: { ...this.frame },
+            config: configSnapshot,
+            waves: this.allWavesEver.map(wave => ({
+                id: wave.id,
+                seed: wave.seed,
+                x: wave.x / this.frame.width, // Fractions of the frame, see readScene()
+                y: wave.y / this.frame.height,
+                creationTime: wave.creationTime,
+                fc: wave.fc,
+                sig: wave.sig,
+                ...(wave.amplitude !== undefined && { amplitude: wave.amplitude }),
+                ...(wave.groupId !== undefined && { groupId: wave.groupId })
+            }))
+        };
+    }
+
+    // Replaces the current composition (config, seed, waves and time) with a saved scene.
+    // Throws if the scene is malformed, leaving the current state untouched.
+    // Its waves and reflectors are fitted into this cover's frame.
+    applyScene(scene) {
+        const sceneData = readScene(scene, this.config);
+        const { config, configIssues, waves, nextWaveIndex, time } = sceneData;
+
+        this.showMessages("Scene config", configIssues);
+        this.config = config;
+        this.compositionFrame = null; // The scene's waves are fitted below, not with the replaced composition
+        this.setupCanvas(); // The scene's framing may lock another aspect ratio
+        const sceneFrame = sceneData.frame;
+        const fit = fitSceneToFrame(sceneData, this.frame);
+        this.compositionFrame = { ...(sceneFrame || this.frame) };
+        this.config = sceneData.config;
+        this.container.style.backgroundColor = this.config.backgroundColor;
+        this.sceneRng = mulberry32(this.config.seed);
+        this.allWavesEver = waves;
+        this.waveCounter = nextWaveIndex;
+        if (time !== null) {
+            this.globalTime = time;
+        }
+        this.lastInputTime = this.globalTime; // Attract mode idles from the scene's time
+        this.nextEvictionTime = this.globalTime;
+
+        if (sceneFrame && (sceneFrame.width !== this.frame.width || sceneFrame.height !== this.frame.height)) {
+            console.warn(`Scene was composed on a ${sceneFrame.width}x${sceneFrame.height} frame, fitted into ` +
+                `${this.frame.width}x${this.frame.height} at ${fit.scale.toFixed(3)}x; wave widths and speeds are not scaled.`);
+        }
+        console.log(`Scene loaded: ${waves.length} waves, seed ${this.config.seed}, time ${this.globalTime.toFixed(2)}s`);
+    }
+
+    // Replaces the composition with a scene object and redraws. Dispatches 'sceneload'.
+    loadScene(scene) {
+        if (this.isExportingAnimation) {
+            throw new Error("A scene cannot be loaded while an animation export runs.");
+        }
+        this.applyScene(scene);
+        this.history.clear(); // Edits before the load refer to the replaced composition
+        this.refreshControls();
+        this.updateAndFilterWaves();
+        this.draw();
+        this.dispatchEvent(new CustomEvent('sceneload', { detail: { scene } }));
+    }
+
+    exportScene() {
+        const json = JSON.stringify(this.serializeScene(), null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `wave_scene_time_${this.globalTime.toFixed(2)}.json`);
+        console.log(`Scene exported with ${this.allWavesEver.length} waves.`);
+    }
+
+    async handleSceneFileInput(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+
+        try {
+            this.loadScene(JSON.parse(await file.text()));
+        } catch (error) {
+            console.warn(`Could not load scene from ${file.name}.`, error);
+        }
+    }
+
+    // Stops the animation and removes everything the instance added to the page
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        cancelAnimationFrame(this.animationFrameId);
+        this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.webglRenderer) this.webglRenderer.dispose();
+        this.addedElements.forEach(element => element.remove());
+        if (this.ownsCanvas) this.canvas.remove();
+        this.dispatchEvent(new CustomEvent('destroy'));
+    }
+}
+
+const WAVE_COVER_EVENTS = ['ready', 'play', 'pause', 'seek', 'waveadd', 'sceneload', 'attractstart', 'attractstop', 'destroy'];
+
+// <wave-cover config="config.json" scene="scene.json"></wave-cover>
+// Loads the config (and optional scene) when connected, re-dispatches the instance's events
+// on the element and destroys the instance when removed. The instance is element.cover
+// once element.ready has resolved.
+export class WaveCoverElement extends HTMLElement {
+    constructor() {
+        super();
+        this.cover = null;
+        this.ready = null;
+    }
+
+    connectedCallback() {
+        if (this.ready) return;
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `<style>:host { display: block; } .wave-cover { width: 100%; height: 100%; }</style>`;
+        const container = document.createElement('div');
+        shadow.appendChild(container);
+
+        const options = this.hasAttribute('scene') ? { scene: this.getAttribute('scene') } : {};
+        const ready = WaveCover.load(container, this.getAttribute('config') || 'config.json', options).then(cover => {
+            if (this.ready !== ready || !this.isConnected) { // Removed (and maybe re-added) while loading
+                cover.destroy();
+                return null;
+            }
+            this.cover = cover;
+            WAVE_COVER_EVENTS.forEach(type => {
+                cover.addEventListener(type, (event) => this.dispatchEvent(new CustomEvent(type, { detail: event.detail })));
+            });
+            this.dispatchEvent(new CustomEvent('ready'));
+            return cover;
+        }).catch(error => {
+            console.error("Could not create the wave cover.", error);
+            return null;
+        });
+        this.ready = ready;
+    }
+
+    disconnectedCallback() {
+        if (this.cover) {
+            this.cover.destroy();
+            this.cover = null;
+        }
+        this.ready = null;
+    }
+}
+
+if (!customElements.get('wave-cover')) {
+    customElements.define('wave-cover', WaveCoverElement);
+}
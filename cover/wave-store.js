@@ -0,0 +1,182 @@
+// Time-indexed store of a cover's source waves. Keeps them sorted by creationTime together with
+// their echoes and the time span in which each can be visible on the current scene, so a frame
+// only looks at the waves around its time and waves that can never be seen again can be evicted.
+//
+// Eviction is final and judged by the settings and frame size given to setScene() at the time:
+// a later longer lifetime, slower speed, new reflector or larger frame does not bring evicted
+// waves back, and they are gone from scene saves and the timeline. Undo snapshots still hold
+// them. WaveCover keeps every wave of its seekable range (see evictInvisibleWaves()).
+
+import { computeEchoes, getMaxCornerDistance } from './simulation.js';
+import { getPropagationParams } from './propagation.js';
+
+// Last time a wave (source or echo) can be on screen: when it has faded out, its inner edge has
+// passed the farthest corner, or its disintegration has finished. Mirrors computeActiveWaves(),
+// which keeps any wave past disintegration.startAgeSeconds until the transition is over.
+function getVisibleUntil(wave, maxCornerDistance, config) {
+    const dynamics = config.waveDynamics;
+    const cornerAge = (maxCornerDistance + wave.sig * dynamics.waveRemovalEdgeFactor) / dynamics.waveSpeed;
+    let visibleAge = Math.min(dynamics.waveLifetimeSeconds, cornerAge);
+    const disintegration = config.disintegration;
+    if (disintegration.enabled) {
+        // A disintegrating wave stays until its transition is over, wherever its edge is
+        visibleAge = Math.max(visibleAge, disintegration.startAgeSeconds + disintegration.transitionDurationSeconds);
+    }
+    return wave.creationTime + visibleAge;
+}
+
+function getSourceKey(wave) {
+    return `${wave.x},${wave.y},${wave.creationTime},${wave.fc},${wave.sig},${wave.seed},${wave.amplitude}`;
+}
+
+// Index of the first entry with creationTime > time (or >= time if inclusive is false)
+function findEntryIndex(entries, time, inclusive) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        const creationTime = entries[middle].wave.creationTime;
+        if (creationTime < time || (inclusive && creationTime === time)) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+export class WaveStore {
+    constructor() {
+        this.entries = [];       // { wave, sourceKey, echoKey, items, until } sorted by wave.creationTime
+        this.waves = [];         // Source waves of entries, in the same order
+        this.config = null;
+        this.width = 0;
+        this.height = 0;
+        this.sceneKey = null;    // Settings the spans and echoes were computed for
+        this.echoKey = null;
+        this.maxSpan = 0;        // Longest until - creationTime of any entry
+        this.isDirty = false;    // Order or spans need to be rebuilt before the next query
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // The source waves sorted by creationTime; read-only, change them through add() or setWaves()
+    getAll() {
+        this.refresh();
+        return this.waves;
+    }
+
+    // Replaces the stored waves; entries of waves that were already stored are reused
+    setWaves(waves) {
+        const existing = new Map(this.entries.map(entry => [entry.wave, entry]));
+        this.entries = waves.map(wave => existing.get(wave) || this.createEntry(wave));
+        this.isDirty = true;
+    }
+
+    add(...waves) {
+        for (const wave of waves) {
+            const entry = this.createEntry(wave);
+            if (this.isDirty || !this.config) {
+                this.entries.push(entry);
+                this.isDirty = true;
+                continue;
+            }
+            // New waves usually start at or after the latest one, so this is mostly an append
+            const index = findEntryIndex(this.entries, wave.creationTime, true);
+            this.updateEntry(entry);
+            this.entries.splice(index, 0, entry);
+            this.waves.splice(index, 0, wave);
+            this.maxSpan = Math.max(this.maxSpan, entry.until - wave.creationTime);
+        }
+    }
+
+    // Call after changing the position, timing or shape of stored waves in place
+    invalidate() {
+        this.isDirty = true;
+    }
+
+    // Scene the visibility spans are computed for; recomputes them when a relevant setting changed
+    setScene(config, width, height) {
+        this.config = config;
+        this.width = width;
+        this.height = height;
+        const sceneKey = JSON.stringify([config.waveDynamics, config.disintegration, config.reflectors, width, height]);
+        if (sceneKey !== this.sceneKey) {
+            this.sceneKey = sceneKey;
+            this.echoKey = JSON.stringify([config.reflectors, config.waveDynamics.waveSpeed, getPropagationParams(config.waveDynamics)]);
+            this.isDirty = true;
+        }
+    }
+
+    createEntry(wave) {
+        return { wave, sourceKey: null, echoKey: null, items: [], until: -Infinity };
+    }
+
+    // Echoes only depend on their source wave and the reflector setup, so they are kept until either changes
+    updateEntry(entry) {
+        const config = this.config;
+        const sourceKey = getSourceKey(entry.wave);
+        if (entry.sourceKey !== sourceKey || entry.echoKey !== this.echoKey) {
+            const reflectors = config.reflectors;
+            const hasReflectors = reflectors.enabled && (reflectors.scatterers.length > 0 || reflectors.segments.length > 0);
+            const echoes = hasReflectors
+                ? computeEchoes(entry.wave, reflectors, config.waveDynamics.waveSpeed, getPropagationParams(config.waveDynamics))
+                : [];
+            entry.items = [entry.wave, ...echoes].map(wave => ({ wave, maxCornerDistance: 0, until: 0 }));
+            entry.sourceKey = sourceKey;
+            entry.echoKey = this.echoKey;
+        }
+        entry.until = -Infinity;
+        for (const item of entry.items) {
+            item.maxCornerDistance = getMaxCornerDistance(item.wave.x, item.wave.y, this.width, this.height);
+            item.until = getVisibleUntil(item.wave, item.maxCornerDistance, config);
+            entry.until = Math.max(entry.until, item.until);
+        }
+    }
+
+    refresh() {
+        if (!this.isDirty) return;
+        // Array.prototype.sort is stable, so waves created at the same time keep their insertion order
+        this.entries.sort((a, b) => a.wave.creationTime - b.wave.creationTime);
+        this.waves = this.entries.map(entry => entry.wave);
+        if (!this.config) return; // Spans follow with the first setScene()
+        this.maxSpan = 0;
+        for (const entry of this.entries) {
+            this.updateEntry(entry);
+            this.maxSpan = Math.max(this.maxSpan, entry.until - entry.wave.creationTime);
+        }
+        this.isDirty = false;
+    }
+
+    // Source waves and echoes that may be visible at time, in source order with each source's
+    // echoes after it, as { wave, maxCornerDistance } for computeActiveWaves(). Only the entries
+    // created within the longest visibility span before time are looked at.
+    query(time) {
+        this.refresh();
+        const candidates = [];
+        const end = findEntryIndex(this.entries, time, true);
+        for (let i = findEntryIndex(this.entries, time - this.maxSpan, false); i < end; i++) {
+            const entry = this.entries[i];
+            if (entry.until < time) continue;
+            for (const item of entry.items) {
+                if (item.wave.creationTime <= time && item.until >= time) candidates.push(item);
+            }
+        }
+        return candidates;
+    }
+
+    // Evicts the waves that can no longer be visible: those whose span ended before time,
+    // unless it overlaps 0..keepUntil (the scrubbable range). Returns how many were removed.
+    evict(time, keepUntil = -Infinity) {
+        this.refresh();
+        if (this.isDirty) return 0; // No spans yet
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.until >= time || (entry.wave.creationTime <= keepUntil && entry.until >= 0));
+        if (this.entries.length === count) return 0;
+        this.waves = this.entries.map(entry => entry.wave);
+        this.maxSpan = this.entries.reduce((span, entry) => Math.max(span, entry.until - entry.wave.creationTime), 0);
+        return count - this.entries.length;
+    }
+}
@@ -0,0 +1,294 @@
+// WebGL2 renderer for the wave field. The fragment shader evaluates the superposed
+// pulse() field and the colormap lookup per output pixel, mirroring the Canvas2D loop
+// in rasterizeField() (simulation.js), which remains the fallback when WebGL2 is unavailable.
+
+import { PROPAGATION_MODELS } from './propagation.js';
+import { AMPLITUDE_COMPRESSIONS } from './colormaps.js';
+
+const WAVE_FIELD_VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+void main() {
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+const WAVE_FIELD_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler2D; // The default lowp would truncate the float wave data
+
+// One row per wave, 4 texels: [x, y, tau, sig], [fc, amplitude, hasMask, 0],
+// [frameSeed hi16, frameSeed lo16, corruption threshold hi16, lo16],
+// [mask segment x1, y1, x2, y2] (echoes from segment reflectors)
+uniform sampler2D u_waves;
+uniform int u_waveCount;
+uniform sampler2D u_colormap; // N x 1 RGBA lookup table over (value + 1) / 2, see getColormapLUT()
+uniform vec2 u_size;          // Output size in pixels
+uniform vec4 u_view;          // scale, offsetX, offsetY, gridRes
+uniform float u_edgeFactor;
+uniform float u_maxAmplitude;
+uniform float u_lutMaxIndex;
+uniform int u_model;              // Index into PROPAGATION_MODELS
+uniform float u_referenceRadius;
+uniform float u_attenuation;
+uniform float u_dispersion;
+uniform int u_compression;        // Index into AMPLITUDE_COMPRESSIONS
+uniform float u_compressionGamma;
+uniform float u_compressionLogFactor;
+uniform bool u_bmode;              // Envelope display instead of the signed field
+uniform float u_bmodeDynamicRange; // dB
+uniform float u_bmodeGain;         // dB
+
+out vec4 outColor;
+
+const float PI = 3.141592653589793;
+
+// One round of hashInts() from simulation.js; uint arithmetic wraps like Math.imul
+uint hashStep(uint h, uint v) {
+    h = (h ^ v) * 0x01000193u;
+    h ^= h >> 13u;
+    h *= 0x5bd1e995u;
+    h ^= h >> 15u;
+    return h;
+}
+
+// Mirrors propagatedPulse() in propagation.js, returning the in-phase (sin) and
+// quadrature (cos) carrier components together
+vec2 propagatedPulse(float d, float fc, float tau, float sig) {
+    float amplitude = 1.0;
+    float carrierFc = fc;
+    if (u_model != 0) {
+        amplitude = sqrt(u_referenceRadius / max(d, u_referenceRadius));
+        if (u_attenuation > 0.0) {
+            float spectralVariance = 1.0 / ((2.0 * PI * sig) * (2.0 * PI * sig));
+            carrierFc = max(0.0, fc - spectralVariance * u_attenuation * d);
+            amplitude *= exp(-u_attenuation * d * (fc + carrierFc) / 2.0);
+        }
+    }
+    float z = (d - tau) / sig; // pow() is undefined for negative bases in GLSL
+    float envelope = exp(-0.5 * z * z);
+    float phase = 2.0 * PI * carrierFc * (d - tau * (1.0 + u_dispersion));
+    return amplitude * envelope * vec2(sin(phase), cos(phase));
+}
+
+// Mirrors isInReflectionRegion() in simulation.js
+bool isInReflectionRegion(vec2 p, vec2 source, vec4 mask) {
+    vec2 a = mask.xy;
+    vec2 e = mask.zw - a;
+    float sideSource = e.x * (source.y - a.y) - e.y * (source.x - a.x);
+    float sidePoint = e.x * (p.y - a.y) - e.y * (p.x - a.x);
+    if (sideSource * sidePoint >= 0.0) return false;
+    vec2 crossing = source + (p - source) * (sideSource / (sideSource - sidePoint));
+    float t = dot(crossing - a, e) / dot(e, e);
+    return t >= 0.0 && t <= 1.0;
+}
+
+// Mirrors compressAmplitude() in colormaps.js
+float compressAmplitude(float value) {
+    float magnitude = abs(value);
+    if (u_compression == 1) {
+        magnitude = pow(magnitude, u_compressionGamma);
+    } else if (u_compression == 2) {
+        magnitude = log(1.0 + u_compressionLogFactor * magnitude) / log(1.0 + u_compressionLogFactor);
+    }
+    return sign(value) * magnitude;
+}
+
+uint joinHalves(float hi, float lo) {
+    return (uint(hi) << 16u) | uint(lo);
+}
+
+void main() {
+    float gridRes = u_view.w;
+    // gl_FragCoord has its origin at the bottom left, the canvas at the top left
+    vec2 pixel = vec2(floor(gl_FragCoord.x), floor(u_size.y - gl_FragCoord.y));
+    vec2 cell = floor(pixel / gridRes) * gridRes;
+    vec2 scenePos = (cell + gridRes / 2.0 - u_view.yz) / u_view.x;
+
+    vec2 total = vec2(0.0); // In-phase and quadrature sums
+    for (int i = 0; i < u_waveCount; i++) {
+        vec4 geometry = texelFetch(u_waves, ivec2(0, i), 0);
+        vec4 params = texelFetch(u_waves, ivec2(1, i), 0);
+        vec4 seeds = texelFetch(u_waves, ivec2(2, i), 0);
+
+        uint threshold = joinHalves(seeds.z, seeds.w);
+        if (threshold > 0u) {
+            uint h = hashStep(0x811c9dc5u, joinHalves(seeds.x, seeds.y));
+            h = hashStep(h, uint(cell.x));
+            h = hashStep(h, uint(cell.y));
+            if (h < threshold) continue; // Corrupted: skip this wave's contribution
+        }
+
+        float amplitude = params.y;
+        float sig = geometry.w;
+        if (amplitude == 0.0 || sig == 0.0) continue;
+        if (params.z > 0.0 && !isInReflectionRegion(scenePos, geometry.xy, texelFetch(u_waves, ivec2(3, i), 0))) continue;
+
+        float d = distance(scenePos, geometry.xy);
+        if (abs(d - geometry.z) < sig * u_edgeFactor) {
+            total += propagatedPulse(d, params.x, geometry.z, sig) * amplitude;
+        }
+    }
+
+    if (total.x == 0.0) {
+        outColor = vec4(0.0);
+        return;
+    }
+    float normalized;
+    float alpha;
+    if (u_bmode) {
+        // Mirrors getBModeLevel() in simulation.js
+        float decibels = 20.0 * log(length(total) / u_maxAmplitude) / log(10.0) + u_bmodeGain;
+        float level = clamp((decibels + u_bmodeDynamicRange) / u_bmodeDynamicRange, 0.0, 1.0);
+        normalized = level * 2.0 - 1.0;
+        alpha = level > 0.0 ? 1.0 : 0.0;
+    } else {
+        normalized = compressAmplitude(clamp(total.x / u_maxAmplitude, -1.0, 1.0));
+        alpha = abs(normalized);
+    }
+    int lutIndex = int(round((normalized + 1.0) / 2.0 * u_lutMaxIndex));
+    vec3 color = texelFetch(u_colormap, ivec2(lutIndex, 0), 0).rgb;
+    outColor = vec4(color, floor(alpha * 255.0) / 255.0);
+}
+`;
+
+const WAVE_TEXELS_PER_WAVE = 4;
+
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`Shader compilation failed: ${log}`);
+    }
+    return shader;
+}
+
+function createNearestTexture(gl) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+// Creates a renderer drawing into its own off-screen canvas, which the caller
+// composites with drawImage(). Returns null if WebGL2 is not available.
+// Throws if the shaders fail to compile or link.
+export function createWebGLFieldRenderer() {
+    const glCanvas = document.createElement('canvas');
+    const gl = glCanvas.getContext('webgl2', {
+        premultipliedAlpha: false, // Output matches the straight-alpha ImageData of the CPU path
+        preserveDrawingBuffer: true,
+        antialias: false,
+        depth: false
+    });
+    if (!gl) return null;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, WAVE_FIELD_VERTEX_SHADER));
+    gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, WAVE_FIELD_FRAGMENT_SHADER));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`);
+    }
+    gl.useProgram(program);
+
+    const uniforms = {};
+    for (const name of ['u_waves', 'u_waveCount', 'u_colormap', 'u_size', 'u_view', 'u_edgeFactor', 'u_maxAmplitude', 'u_lutMaxIndex',
+        'u_model', 'u_referenceRadius', 'u_attenuation', 'u_dispersion',
+        'u_compression', 'u_compressionGamma', 'u_compressionLogFactor',
+        'u_bmode', 'u_bmodeDynamicRange', 'u_bmodeGain']) {
+        uniforms[name] = gl.getUniformLocation(program, name);
+    }
+
+    // Full-screen quad as two triangles
+    const quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+    const positionLocation = gl.getAttribLocation(program, 'a_position');
+    gl.enableVertexAttribArray(positionLocation);
+    gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+    const waveTexture = createNearestTexture(gl);
+    const colormapTexture = createNearestTexture(gl);
+    gl.uniform1i(uniforms.u_waves, 0);
+    gl.uniform1i(uniforms.u_colormap, 1);
+
+    const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    let hasColormap = false;
+
+    return {
+        canvas: glCanvas,
+
+        // Uploads an RGBA lookup table (Uint8Array, 4 bytes per entry)
+        setColormapLUT(lut) {
+            hasColormap = true;
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, colormapTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, lut.length / 4, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, lut);
+            gl.uniform1f(uniforms.u_lutMaxIndex, lut.length / 4 - 1);
+        },
+
+        // Renders the field for waves (with per-wave { amplitude, corruption } factors).
+        // Returns false if this output cannot be rendered here, so the caller falls back.
+        render(width, height, view, waves, factors, options) {
+            if (gl.isContextLost() || !hasColormap) return false;
+            if (width > maxViewport[0] || height > maxViewport[1] || waves.length > maxTextureSize) return false;
+
+            const rows = Math.max(1, waves.length);
+            const waveData = new Float32Array(rows * WAVE_TEXELS_PER_WAVE * 4);
+            waves.forEach((wave, i) => {
+                const { amplitude, corruption } = factors[i];
+                const threshold = corruption > 0 ? Math.ceil(corruption * 0.75 * 4294967296) : 0;
+                const mask = wave.mask || { x1: 0, y1: 0, x2: 0, y2: 0 };
+                waveData.set([
+                    wave.x, wave.y, wave.currentTau, wave.sig,
+                    wave.fc, amplitude, wave.mask ? 1 : 0, 0,
+                    wave.frameSeed >>> 16, wave.frameSeed & 0xffff, threshold >>> 16, threshold & 0xffff,
+                    mask.x1, mask.y1, mask.x2, mask.y2
+                ], i * WAVE_TEXELS_PER_WAVE * 4);
+            });
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, waveTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, WAVE_TEXELS_PER_WAVE, rows, 0, gl.RGBA, gl.FLOAT, waveData);
+
+            if (glCanvas.width !== width || glCanvas.height !== height) {
+                glCanvas.width = width;
+                glCanvas.height = height;
+            }
+            gl.viewport(0, 0, width, height);
+            gl.uniform1i(uniforms.u_waveCount, waves.length);
+            gl.uniform2f(uniforms.u_size, width, height);
+            gl.uniform4f(uniforms.u_view, view.scale, view.offsetX, view.offsetY, view.gridRes);
+            gl.uniform1f(uniforms.u_edgeFactor, options.edgeFactor);
+            gl.uniform1f(uniforms.u_maxAmplitude, options.maxAmplitude);
+            const propagation = options.propagation;
+            gl.uniform1i(uniforms.u_model, PROPAGATION_MODELS.indexOf(propagation.model));
+            gl.uniform1f(uniforms.u_referenceRadius, propagation.referenceRadius);
+            gl.uniform1f(uniforms.u_attenuation, propagation.attenuation);
+            gl.uniform1f(uniforms.u_dispersion, propagation.dispersion);
+            gl.uniform1i(uniforms.u_compression, Math.max(0, AMPLITUDE_COMPRESSIONS.indexOf(options.compression.mode)));
+            gl.uniform1f(uniforms.u_compressionGamma, options.compression.gamma);
+            gl.uniform1f(uniforms.u_compressionLogFactor, options.compression.logFactor);
+            gl.uniform1i(uniforms.u_bmode, options.bmode ? 1 : 0);
+            if (options.bmode) {
+                gl.uniform1f(uniforms.u_bmodeDynamicRange, options.bmode.dynamicRangeDb);
+                gl.uniform1f(uniforms.u_bmodeGain, options.bmode.gainDb);
+            }
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            return true;
+        },
+
+        // Frees the GL context right away instead of waiting for garbage collection
+        dispose() {
+            const loseContext = gl.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+        }
+    };
+}